@@ -0,0 +1,90 @@
+const { StatusCodeError } = require('./endpointHelper.js');
+
+const CircuitState = {
+  Closed: 'closed',
+  Open: 'open',
+  HalfOpen: 'half-open',
+};
+
+/**
+ * Stops calling a service that keeps failing. After failureThreshold failures in a row the
+ * circuit opens and calls fail right away. Once openSeconds have passed a single trial call
+ * is let through. If it succeeds the circuit closes again, otherwise it stays open.
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Name of the protected service, used in errors
+   * @param {object} options - failureThreshold and openSeconds
+   * @param {function} onStateChange - Called with (state, previousState) when the state changes
+   * @param {function} now - Clock in milliseconds, replaceable for testing
+   */
+  constructor(name, options, onStateChange = () => {}, now = Date.now) {
+    this.name = name;
+    this.options = options;
+    this.onStateChange = onStateChange;
+    this.now = now;
+    this.state = CircuitState.Closed;
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Run fn through the breaker. isFailure(error) decides which errors count against the service.
+   */
+  async call(fn, isFailure = () => true) {
+    this.checkAvailable();
+    const trial = this.state === CircuitState.HalfOpen;
+    this.trialInFlight = trial;
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        this.recordFailure();
+      } else {
+        this.recordSuccess();
+      }
+      throw error;
+    } finally {
+      if (trial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  checkAvailable() {
+    if (this.state === CircuitState.Open && this.now() - this.openedAt >= this.options.openSeconds * 1000) {
+      this.setState(CircuitState.HalfOpen);
+    }
+    if (this.state === CircuitState.Open || (this.state === CircuitState.HalfOpen && this.trialInFlight)) {
+      const error = new StatusCodeError(`${this.name} is unavailable`, 503);
+      error.circuitOpen = true;
+      throw error;
+    }
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.setState(CircuitState.Closed);
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.state === CircuitState.HalfOpen || this.failures >= this.options.failureThreshold) {
+      this.openedAt = this.now();
+      this.setState(CircuitState.Open);
+    }
+  }
+
+  setState(state) {
+    if (state !== this.state) {
+      const previousState = this.state;
+      this.state = state;
+      this.onStateChange(state, previousState);
+    }
+  }
+}
+
+module.exports = { CircuitBreaker, CircuitState };
@@ -6,6 +6,7 @@ async function cleanTokens() {
         await DB.withConnection(async (connection) => {
             console.log('Deleting all tokens from auth table...');
             await DB.query(connection, `DELETE FROM auth`);
+            await DB.query(connection, `DELETE FROM session`);
             console.log('Successfully cleaned all tokens. Please log in again.');
         });
     } catch (err) {
@@ -1,13 +1,18 @@
 const mysql = require('mysql2/promise');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const config = require('../config.js');
 const { StatusCodeError } = require('../endpointHelper.js');
-const { Role } = require('../model/model.js');
+const { Role, OrderStatus, OutboxStatus, MenuCategory, canTransitionOrder } = require('../model/model.js');
 const dbModel = require('./dbModel.js');
 const logger = require('../logging/logger.js');
 
 /* eslint-disable no-unused-vars */
 
+function roundPrice(price) {
+  return Math.round(Number(price) * 1e8) / 1e8;
+}
+
 class DB {
   constructor() {
     this.pool = null;
@@ -35,17 +40,141 @@ class DB {
     return this.pool;
   }
 
-  async getMenu() {
+  // Every filter is optional. Retired items are only listed when includeRetired is set. With a
+  // storeId only the items the store sells are listed, at its own price where it set one.
+  async getMenu({ storeId = null, includeRetired = false, category = null, tags = [], search = '' } = {}) {
     return this.withConnection(async (connection) => {
-      return await this.query(connection, `SELECT * FROM menu`);
+      if (storeId !== null) {
+        await this.getID(connection, 'id', storeId, 'store').catch(() => {
+          throw new StatusCodeError('unknown store', 404);
+        });
+      }
+
+      const conditions = [];
+      const params = [storeId];
+      if (!includeRetired) {
+        conditions.push('m.retired=FALSE');
+      }
+      if (storeId !== null) {
+        conditions.push('COALESCE(sm.available, TRUE)');
+      }
+      if (category) {
+        conditions.push('m.category=?');
+        params.push(category);
+      }
+      for (const tag of tags) {
+        conditions.push('EXISTS (SELECT 1 FROM menuTag AS t WHERE t.menuId=m.id AND t.tag=?)');
+        params.push(tag);
+      }
+      if (search) {
+        // % and _ in the search text match themselves rather than acting as wildcards
+        const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+        conditions.push('(m.title LIKE ? OR m.description LIKE ?)');
+        params.push(pattern, pattern);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const menuResult = await this.query(
+        connection,
+        `SELECT m.id, m.title, m.image, COALESCE(sm.price, m.price) AS price, m.description, m.category, m.sortOrder${includeRetired ? ', m.retired' : ''} FROM menu AS m LEFT JOIN storeMenu AS sm ON sm.menuId=m.id AND sm.storeId=? ${where} ORDER BY m.sortOrder, m.id`,
+        params
+      );
+      const menu = includeRetired ? menuResult.map((menuItem) => ({ ...menuItem, retired: !!menuItem.retired })) : menuResult;
+      return this.addMenuTags(connection, menu);
     });
   }
 
+  async getMenuItem(connection, menuId) {
+    const menuResult = await this.query(connection, `SELECT id, title, image, price, description, category, sortOrder, retired FROM menu WHERE id=?`, [menuId]);
+    if (menuResult.length === 0) {
+      throw new StatusCodeError('unknown menu item', 404);
+    }
+    const [menuItem] = await this.addMenuTags(connection, [{ ...menuResult[0], retired: !!menuResult[0].retired }]);
+    return menuItem;
+  }
+
+  async addMenuTags(connection, menu) {
+    if (menu.length === 0) {
+      return menu;
+    }
+    const menuIds = menu.map((menuItem) => menuItem.id);
+    const tagResult = await this.query(connection, `SELECT menuId, tag FROM menuTag WHERE menuId IN (${menuIds.map(() => '?').join(',')}) ORDER BY tag`, menuIds);
+    return menu.map((menuItem) => ({ ...menuItem, tags: tagResult.filter((row) => row.menuId === menuItem.id).map((row) => row.tag) }));
+  }
+
   async addMenuItem(item) {
     return this.withConnection(async (connection) => {
-      const addResult = await this.query(connection, `INSERT INTO menu (title, description, image, price) VALUES (?, ?, ?, ?)`, 
-        [item.title, item.description, item.image, item.price]);
-      return { ...item, id: addResult.insertId };
+      await connection.beginTransaction();
+      try {
+        const addResult = await this.query(connection, `INSERT INTO menu (title, description, image, price, category, sortOrder) VALUES (?, ?, ?, ?, ?, ?)`, [
+          item.title,
+          item.description,
+          item.image,
+          item.price,
+          item.category ?? MenuCategory.Pizza,
+          item.sortOrder ?? 0,
+        ]);
+        await this.setMenuTags(connection, addResult.insertId, item.tags ?? []);
+        await connection.commit();
+        return { ...item, id: addResult.insertId };
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+  }
+
+  async setMenuTags(connection, menuId, tags) {
+    await this.query(connection, `DELETE FROM menuTag WHERE menuId=?`, [menuId]);
+    for (const tag of new Set(tags)) {
+      await this.query(connection, `INSERT INTO menuTag (menuId, tag) VALUES (?, ?)`, [menuId, tag]);
+    }
+  }
+
+  // A null price goes back to the menu price
+  async setStoreMenuItem(franchiseId, storeId, menuId, { available, price }) {
+    return this.withConnection(async (connection) => {
+      const storeResult = await this.query(connection, `SELECT id FROM store WHERE id=? AND franchiseId=?`, [storeId, franchiseId]);
+      if (storeResult.length === 0) {
+        throw new StatusCodeError('unknown store', 404);
+      }
+      const menuResult = await this.query(connection, `SELECT id, title, image, price, description, retired FROM menu WHERE id=?`, [menuId]);
+      const menuItem = menuResult[0];
+      if (!menuItem) {
+        throw new StatusCodeError('unknown menu item', 404);
+      }
+      if (menuItem.retired) {
+        throw new StatusCodeError(`${menuItem.title} is no longer on the menu`, 409);
+      }
+
+      await this.query(
+        connection,
+        `INSERT INTO storeMenu (storeId, menuId, available, price) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE available=VALUES(available), price=VALUES(price)`,
+        [storeId, menuId, available, price]
+      );
+      return { id: menuId, title: menuItem.title, image: menuItem.image, description: menuItem.description, menuPrice: menuItem.price, price: price ?? menuItem.price, available };
+    });
+  }
+
+  // Only the given fields change. Orders keep the title and price they were placed with.
+  async updateMenuItem(menuId, changes) {
+    return this.withConnection(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        await this.getMenuItem(connection, menuId);
+        const fields = ['title', 'description', 'image', 'price', 'category', 'sortOrder', 'retired'].filter((field) => changes[field] !== undefined);
+        if (fields.length > 0) {
+          await this.query(connection, `UPDATE menu SET ${fields.map((field) => `${field}=?`).join(', ')} WHERE id=?`, [...fields.map((field) => changes[field]), menuId]);
+        }
+        if (changes.tags !== undefined) {
+          await this.setMenuTags(connection, menuId, changes.tags);
+        }
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+      return this.getMenuItem(connection, menuId);
     });
   }
 
@@ -53,8 +182,15 @@ class DB {
     return this.withConnection(async (connection) => {
       const hashedPassword = await bcrypt.hash(user.password, 10);
 
-      const userResult = await this.query(connection, `INSERT INTO user (name, email, password) VALUES (?, ?, ?)`, 
-        [user.name, user.email, hashedPassword]);
+      let userResult;
+      try {
+        userResult = await this.query(connection, `INSERT INTO user (name, email, password, verified) VALUES (?, ?, ?, ?)`, [user.name, user.email, hashedPassword, !!user.verified]);
+      } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+          throw new StatusCodeError('email already registered', 409);
+        }
+        throw error;
+      }
       const userId = userResult.insertId;
       for (const role of user.roles) {
         switch (role.role) {
@@ -71,7 +207,7 @@ class DB {
           }
         }
       }
-      return { ...user, id: userId, password: undefined };
+      return { ...user, id: userId, verified: !!user.verified, password: undefined };
     });
   }
 
@@ -82,80 +218,878 @@ class DB {
       if (!user || !(await bcrypt.compare(password, user.password))) {
         throw new StatusCodeError('unknown user', 404);
       }
+      if (user.disabled) {
+        throw new StatusCodeError('account disabled', 403);
+      }
+
+      const roles = await this.getUserRoles(connection, user.id);
+      return this.toUser(user, roles);
+    });
+  }
+
+  async getUserById(userId) {
+    return this.withConnection(async (connection) => {
+      const userResult = await this.query(connection, `SELECT * FROM user WHERE id=?`, [userId]);
+      const user = userResult[0];
+      if (!user) {
+        throw new StatusCodeError('unknown user', 404);
+      }
+
+      const roles = await this.getUserRoles(connection, user.id);
+      return this.toUser(user, roles);
+    });
+  }
+
+  async getUserRoles(connection, userId) {
+    const roleResult = await this.query(connection, `SELECT * FROM userRole WHERE userId=?`, [userId]);
+    return roleResult.map((r) => {
+      return { objectId: r.objectId || undefined, role: r.role };
+    });
+  }
+
+  // Convert a user row into the user returned to callers
+  toUser(user, roles) {
+    return { ...user, verified: !!user.verified, disabled: !!user.disabled, roles: roles, password: undefined };
+  }
+
+  // Search users by name or email. Fetches one extra row to know whether there is another page.
+  async getUsers(page = 1, limit = config.db.listPerPage, search = '') {
+    return this.withConnection(async (connection) => {
+      const offset = this.getOffset(page, limit);
+      const pattern = `%${search}%`;
+      const users = await this.query(connection, `SELECT id, name, email, verified, disabled FROM user WHERE name LIKE ? OR email LIKE ? ORDER BY id LIMIT ? OFFSET ?`, [
+        pattern,
+        pattern,
+        String(limit + 1),
+        String(offset),
+      ]);
+      const more = users.length > limit;
+      const result = [];
+      for (const user of users.slice(0, limit)) {
+        result.push(this.toUser(user, await this.getUserRoles(connection, user.id)));
+      }
+      return { users: result, page, more };
+    });
+  }
 
-      const roleResult = await this.query(connection, `SELECT * FROM userRole WHERE userId=?`, [user.id]);
-      const roles = roleResult.map((r) => {
-        return { objectId: r.objectId || undefined, role: r.role };
+  async addUserRole(userId, role, objectId = 0) {
+    return this.withConnection(async (connection) => {
+      await this.getID(connection, 'id', userId, 'user').catch(() => {
+        throw new StatusCodeError('unknown user', 404);
       });
+      if (role === Role.Franchisee) {
+        await this.getID(connection, 'id', objectId, 'franchise').catch(() => {
+          throw new StatusCodeError('unknown franchise', 404);
+        });
+      }
 
-      return { ...user, roles: roles, password: undefined };
+      const roleResult = await this.query(connection, `SELECT id FROM userRole WHERE userId=? AND role=? AND objectId=?`, [userId, role, objectId]);
+      if (roleResult.length > 0) {
+        throw new StatusCodeError('user already has role', 409);
+      }
+      await this.query(connection, `INSERT INTO userRole (userId, role, objectId) VALUES (?, ?, ?)`, [userId, role, objectId]);
+      return this.getUserRoles(connection, userId);
     });
   }
 
+  // Removing a role signs the user out because their tokens still list the role.
+  async removeUserRole(userId, role, objectId = 0) {
+    return this.withConnection(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        if (role === Role.Admin) {
+          await this.assertNotLastAdmin(connection, userId, 'remove');
+        }
+        const deleteResult = await this.query(connection, `DELETE FROM userRole WHERE userId=? AND role=? AND objectId=?`, [userId, role, objectId]);
+        if (deleteResult.affectedRows === 0) {
+          throw new StatusCodeError('user does not have role', 404);
+        }
+
+        await this.query(connection, `DELETE FROM auth WHERE userId=?`, [userId]);
+        await this.query(connection, `DELETE FROM session WHERE userId=?`, [userId]);
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+      return this.getUserRoles(connection, userId);
+    });
+  }
+
+  // Disabling an account also signs it out everywhere.
+  async setUserDisabled(userId, disabled) {
+    return this.withConnection(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        if (disabled) {
+          await this.assertNotLastAdmin(connection, userId, 'disable');
+        }
+        const updateResult = await this.query(connection, `UPDATE user SET disabled=? WHERE id=?`, [!!disabled, userId]);
+        if (updateResult.affectedRows === 0) {
+          throw new StatusCodeError('unknown user', 404);
+        }
+        if (disabled) {
+          await this.query(connection, `DELETE FROM auth WHERE userId=?`, [userId]);
+          await this.query(connection, `DELETE FROM session WHERE userId=?`, [userId]);
+        }
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+  }
+
+  // Call inside a transaction. Disabled admins can't sign in, so they don't count.
+  async assertNotLastAdmin(connection, userId, action) {
+    const adminIds = await this.lockActiveAdminIds(connection);
+    if (adminIds.has(userId) && adminIds.size === 1) {
+      throw new StatusCodeError(`unable to ${action} the last admin`, 409);
+    }
+  }
+
+  // Lock the admin roles so two admins can't remove each other at the same time
+  async lockActiveAdminIds(connection) {
+    const adminResult = await this.query(connection, `SELECT ur.userId FROM userRole AS ur JOIN user AS u ON u.id=ur.userId WHERE ur.role=? AND u.disabled=FALSE FOR UPDATE`, [Role.Admin]);
+    return new Set(adminResult.map((r) => r.userId));
+  }
+
+  // Orders are kept for franchise revenue but no longer point at the deleted diner.
+  async deleteUser(userId) {
+    return this.withConnection(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        await this.assertNotLastAdmin(connection, userId, 'delete');
+
+        // Delivered factory submissions are the only other place the diner's name and email are kept
+        await this.query(connection, `DELETE FROM outbox WHERE status=? AND orderId IN (SELECT id FROM dinerOrder WHERE dinerId=?)`, [OutboxStatus.Delivered, userId]);
+        await this.query(connection, `UPDATE dinerOrder SET dinerId=0 WHERE dinerId=?`, [userId]);
+        await this.query(connection, `UPDATE orderStatusHistory SET userId=NULL WHERE userId=?`, [userId]);
+        await this.query(connection, `UPDATE refund SET userId=NULL WHERE userId=?`, [userId]);
+        await this.query(connection, `DELETE FROM auth WHERE userId=?`, [userId]);
+        await this.query(connection, `DELETE FROM session WHERE userId=?`, [userId]);
+        await this.query(connection, `DELETE FROM userToken WHERE userId=?`, [userId]);
+        await this.query(connection, `DELETE FROM recoveryCode WHERE userId=?`, [userId]);
+        await this.query(connection, `DELETE FROM twoFactor WHERE userId=?`, [userId]);
+        await this.query(connection, `DELETE FROM idempotencyKey WHERE userId=?`, [userId]);
+        await this.query(connection, `DELETE FROM userRole WHERE userId=?`, [userId]);
+        const deleteResult = await this.query(connection, `DELETE FROM user WHERE id=?`, [userId]);
+        if (deleteResult.affectedRows === 0) {
+          throw new StatusCodeError('unknown user', 404);
+        }
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+  }
+
+  // Everything stored about a user, for them to take with them
+  async exportUser(userId) {
+    const user = await this.getUserById(userId);
+    return this.withConnection(async (connection) => {
+      const sessions = await this.query(connection, `SELECT id, created, lastSeen, userAgent, ip FROM session WHERE userId=? ORDER BY created`, [userId]);
+      const twoFactorResult = await this.query(connection, `SELECT enabled FROM twoFactor WHERE userId=?`, [userId]);
+      const orders = await this.query(connection, `SELECT id, franchiseId, storeId, date, status FROM dinerOrder WHERE dinerId=? ORDER BY date`, [userId]);
+      for (const order of orders) {
+        order.items = await this.query(connection, `SELECT id, menuId, description, price FROM orderItem WHERE orderId=?`, [order.id]);
+      }
+      return { exported: new Date().toISOString(), user, twoFactorEnabled: !!twoFactorResult[0]?.enabled, sessions, orders };
+    });
+  }
+
+  // Changing the email address means the new address has to be verified again.
   async updateUser(userId, email, password) {
     return this.withConnection(async (connection) => {
       const params = [];
+      const values = [];
       if (password) {
         const hashedPassword = await bcrypt.hash(password, 10);
-        params.push(`password='${hashedPassword}'`);
+        params.push('password=?');
+        values.push(hashedPassword);
       }
       if (email) {
-        params.push(`email='${email}'`);
+        // MySQL applies assignments in order so verified has to be checked before email changes
+        params.push('verified=IF(email=?, verified, FALSE)', 'email=?');
+        values.push(email, email);
       }
       if (params.length > 0) {
-        const query = `UPDATE user SET ${params.join(', ')} WHERE id=${userId}`;
-        await this.query(connection, query);
+        try {
+          await this.query(connection, `UPDATE user SET ${params.join(', ')} WHERE id=?`, [...values, userId]);
+        } catch (error) {
+          if (error.code === 'ER_DUP_ENTRY') {
+            throw new StatusCodeError('email already registered', 409);
+          }
+          throw error;
+        }
       }
       return this.getUser(email, password);
     });
   }
 
-  async loginUser(userId, token) {
+  async verifyEmail(token) {
+    return this.withConnection(async (connection) => {
+      const userId = await this.consumeUserToken(connection, 'verify', token);
+      await this.query(connection, `UPDATE user SET verified=TRUE WHERE id=?`, [userId]);
+    });
+  }
+
+  // Issue a single use token (such as a password reset) for the user with the given email.
+  // Any earlier unused token for the same purpose is replaced. Returns null for unknown emails.
+  async addUserToken(email, purpose, token, expiresIn) {
+    token = this.hashToken(token);
+    return this.withConnection(async (connection) => {
+      const userResult = await this.query(connection, `SELECT id, name, email FROM user WHERE email=?`, [email]);
+      const user = userResult[0];
+      if (!user) {
+        return null;
+      }
+
+      await this.query(connection, `DELETE FROM userToken WHERE userId=? AND purpose=?`, [user.id, purpose]);
+      await this.query(connection, `INSERT INTO userToken (token, userId, purpose, expires) VALUES (?, ?, ?, DATE_ADD(now(), INTERVAL ? SECOND))`, [token, user.id, purpose, expiresIn]);
+      return user;
+    });
+  }
+
+  // Mark a single use token as used and return the user it was issued to.
+  async consumeUserToken(connection, purpose, token) {
+    token = this.hashToken(token);
+    const tokenResult = await this.query(connection, `SELECT userId FROM userToken WHERE token=? AND purpose=? AND used=FALSE AND expires > now()`, [token, purpose]);
+    const updateResult = await this.query(connection, `UPDATE userToken SET used=TRUE WHERE token=? AND used=FALSE`, [token]);
+    if (tokenResult.length === 0 || updateResult.affectedRows === 0) {
+      throw new StatusCodeError(`invalid or expired ${purpose} token`, 400);
+    }
+    return tokenResult[0].userId;
+  }
+
+  async resetPassword(token, password) {
+    return this.withConnection(async (connection) => {
+      const userId = await this.consumeUserToken(connection, 'reset', token);
+      const hashedPassword = await bcrypt.hash(password, 10);
+      await this.query(connection, `UPDATE user SET password=? WHERE id=?`, [hashedPassword, userId]);
+      await this.query(connection, `DELETE FROM auth WHERE userId=?`, [userId]);
+      await this.query(connection, `DELETE FROM session WHERE userId=?`, [userId]);
+    });
+  }
+
+  async getSigningKeys() {
+    return this.withConnection(async (connection) => {
+      return await this.query(connection, `SELECT kid, alg, secret, privateKey, publicKey, status, created FROM signingKey ORDER BY created`);
+    });
+  }
+
+  // Add a new active signing key. The previous active key is kept for verifying tokens. The
+  // legacy key from config.js has no row until it is first replaced.
+  async addSigningKey(key, previousKid) {
+    return this.withConnection(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        await this.query(connection, `UPDATE signingKey SET status='verify' WHERE status='active'`);
+        await this.query(connection, `INSERT IGNORE INTO signingKey (kid, alg, status, created) VALUES (?, 'HS256', 'verify', now())`, [previousKid]);
+        await this.query(connection, `INSERT INTO signingKey (kid, alg, secret, privateKey, publicKey, status, created) VALUES (?, ?, ?, ?, ?, 'active', now())`, [
+          key.kid,
+          key.alg,
+          key.secret,
+          key.privateKey,
+          key.publicKey,
+        ], { logParams: false });
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+  }
+
+  async retireSigningKey(kid) {
+    return this.withConnection(async (connection) => {
+      await this.query(connection, `UPDATE signingKey SET status='retired', retired=now() WHERE kid=?`, [kid]);
+    });
+  }
+
+  async getTwoFactor(userId) {
+    return this.withConnection(async (connection) => {
+      const twoFactorResult = await this.query(connection, `SELECT secret, enabled, lastUsedStep FROM twoFactor WHERE userId=?`, [userId]);
+      const twoFactor = twoFactorResult[0];
+      return twoFactor ? { ...twoFactor, enabled: !!twoFactor.enabled } : null;
+    });
+  }
+
+  // Start enrollment with a new secret. The secret only takes effect once enableTwoFactor is called.
+  async setTwoFactorSecret(userId, secret) {
+    return this.withConnection(async (connection) => {
+      const twoFactorResult = await this.query(connection, `SELECT enabled FROM twoFactor WHERE userId=?`, [userId]);
+      if (twoFactorResult.length > 0 && twoFactorResult[0].enabled) {
+        throw new StatusCodeError('two factor authentication already enabled', 409);
+      }
+      await this.query(connection, `INSERT INTO twoFactor (userId, secret, enabled, lastUsedStep) VALUES (?, ?, FALSE, 0) ON DUPLICATE KEY UPDATE secret=VALUES(secret), lastUsedStep=0`, [userId, secret], {
+        logParams: false,
+      });
+    });
+  }
+
+  async enableTwoFactor(userId, recoveryCodes) {
+    return this.withConnection(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        await this.query(connection, `UPDATE twoFactor SET enabled=TRUE WHERE userId=?`, [userId]);
+        await this.query(connection, `DELETE FROM recoveryCode WHERE userId=?`, [userId]);
+        for (const code of recoveryCodes) {
+          await this.query(connection, `INSERT INTO recoveryCode (userId, code) VALUES (?, ?)`, [userId, this.hashToken(code)]);
+        }
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+  }
+
+  async disableTwoFactor(userId) {
+    return this.withConnection(async (connection) => {
+      await this.query(connection, `DELETE FROM recoveryCode WHERE userId=?`, [userId]);
+      await this.query(connection, `DELETE FROM twoFactor WHERE userId=?`, [userId]);
+    });
+  }
+
+  // Record the time step of an accepted code. Returns false if the step, or a later one, was
+  // already used so that a code can't be replayed.
+  async useTwoFactorStep(userId, step) {
+    return this.withConnection(async (connection) => {
+      const updateResult = await this.query(connection, `UPDATE twoFactor SET lastUsedStep=? WHERE userId=? AND lastUsedStep < ?`, [step, userId, step]);
+      return updateResult.affectedRows > 0;
+    });
+  }
+
+  async useRecoveryCode(userId, code) {
+    return this.withConnection(async (connection) => {
+      const updateResult = await this.query(connection, `UPDATE recoveryCode SET used=TRUE WHERE userId=? AND code=? AND used=FALSE`, [userId, this.hashToken(code)]);
+      return updateResult.affectedRows > 0;
+    });
+  }
+
+  // Store an access token and its refresh token. Both belong to the same token family, which
+  // is the user's session, so the family can be revoked as a whole on logout or token reuse.
+  async loginUser(userId, token, refreshToken, family) {
     token = this.getTokenSignature(token);
+    refreshToken = this.hashToken(refreshToken);
     return this.withConnection(async (connection) => {
-      await this.query(connection, `INSERT INTO auth (token, userId) VALUES (?, ?)`, [token, userId]);
+      await this.query(connection, `INSERT INTO auth (token, userId, type, familyId, expires) VALUES (?, ?, 'access', ?, DATE_ADD(now(), INTERVAL ? SECOND))`, [
+        token,
+        userId,
+        family.id,
+        family.accessTokenExpiresIn,
+      ]);
+      await this.query(connection, `INSERT INTO auth (token, userId, type, familyId, expires) VALUES (?, ?, 'refresh', ?, DATE_ADD(now(), INTERVAL ? SECOND))`, [
+        refreshToken,
+        userId,
+        family.id,
+        family.refreshTokenExpiresIn,
+      ]);
+      await this.query(
+        connection,
+        `INSERT INTO session (id, userId, created, lastSeen, userAgent, ip) VALUES (?, ?, now(), now(), ?, ?) ON DUPLICATE KEY UPDATE lastSeen=now(), userAgent=VALUES(userAgent), ip=VALUES(ip)`,
+        [family.id, userId, family.userAgent ?? null, family.ip ?? null]
+      );
     });
   }
 
-  async isLoggedIn(token) {
+  // Returns the session the access token belongs to, or null if the token is not logged in.
+  async getSessionId(token) {
     token = this.getTokenSignature(token);
     return this.withConnection(async (connection) => {
-      const authResult = await this.query(connection, `SELECT userId FROM auth WHERE token=?`, [token]);
-      return authResult.length > 0;
+      const authResult = await this.query(connection, `SELECT familyId FROM auth WHERE token=? AND type='access' AND expires > now()`, [token]);
+      return authResult.length > 0 ? authResult[0].familyId : null;
+    });
+  }
+
+  // Record where a session was last used. Only written once a minute to keep requests cheap.
+  async touchSession(sessionId, userAgent, ip) {
+    return this.withConnection(async (connection) => {
+      await this.query(connection, `UPDATE session SET lastSeen=now(), userAgent=?, ip=? WHERE id=? AND lastSeen < DATE_SUB(now(), INTERVAL 1 MINUTE)`, [
+        userAgent ?? null,
+        ip ?? null,
+        sessionId,
+      ]);
+    });
+  }
+
+  async getSessions(userId) {
+    return this.withConnection(async (connection) => {
+      return await this.query(
+        connection,
+        `SELECT s.id, s.created, s.lastSeen, s.userAgent, s.ip FROM session AS s WHERE s.userId=? AND EXISTS (SELECT 1 FROM auth AS a WHERE a.familyId=s.id AND a.type='refresh' AND a.rotated=FALSE AND a.expires > now()) ORDER BY s.lastSeen DESC`,
+        [userId]
+      );
+    });
+  }
+
+  async revokeSession(userId, sessionId) {
+    return this.withConnection(async (connection) => {
+      const sessionResult = await this.query(connection, `SELECT id FROM session WHERE id=? AND userId=?`, [sessionId, userId]);
+      if (sessionResult.length === 0) {
+        throw new StatusCodeError('unknown session', 404);
+      }
+      await this.revokeTokenFamily(connection, sessionId);
+    });
+  }
+
+  // Returns the given sessions that haven't been revoked
+  async getActiveSessionIds(sessionIds) {
+    if (sessionIds.length === 0) {
+      return [];
+    }
+    return this.withConnection(async (connection) => {
+      const sessionResult = await this.query(connection, `SELECT id FROM session WHERE id IN (${sessionIds.map(() => '?').join(',')})`, sessionIds);
+      return sessionResult.map((session) => session.id);
+    });
+  }
+
+  async revokeUserSessions(userId) {
+    return this.withConnection(async (connection) => {
+      await this.query(connection, `DELETE FROM auth WHERE userId=?`, [userId]);
+      await this.query(connection, `DELETE FROM session WHERE userId=?`, [userId]);
     });
   }
 
   async logoutUser(token) {
     token = this.getTokenSignature(token);
     return this.withConnection(async (connection) => {
+      const authResult = await this.query(connection, `SELECT familyId FROM auth WHERE token=?`, [token]);
       await this.query(connection, `DELETE FROM auth WHERE token=?`, [token]);
+      if (authResult.length > 0 && authResult[0].familyId) {
+        await this.revokeTokenFamily(connection, authResult[0].familyId);
+      }
     });
   }
 
-  async getOrders(user, page = 1) {
+  // Exchange a refresh token for the family it belongs to. The token is marked as rotated so
+  // that presenting it a second time is treated as theft and revokes the whole family.
+  async rotateRefreshToken(refreshToken) {
+    const token = this.hashToken(refreshToken);
     return this.withConnection(async (connection) => {
-      const offset = this.getOffset(page, config.db.listPerPage);
-      const orders = await this.query(connection, `SELECT id, franchiseId, storeId, date FROM dinerOrder WHERE dinerId=? LIMIT ${offset},${config.db.listPerPage}`, [user.id]);
-      for (const order of orders) {
-        let items = await this.query(connection, `SELECT id, menuId, description, price FROM orderItem WHERE orderId=?`, [order.id]);
-        order.items = items;
+      const authResult = await this.query(connection, `SELECT userId, familyId, rotated, expires <= now() AS expired FROM auth WHERE token=? AND type='refresh'`, [token]);
+      const auth = authResult[0];
+      if (!auth) {
+        throw new StatusCodeError('invalid refresh token', 401);
+      }
+      if (auth.expired) {
+        await this.revokeTokenFamily(connection, auth.familyId);
+        throw new StatusCodeError('refresh token expired', 401);
       }
-      return { dinerId: user.id, orders: orders, page };
+
+      const updateResult = await this.query(connection, `UPDATE auth SET rotated=TRUE WHERE token=? AND rotated=FALSE`, [token]);
+      if (auth.rotated || updateResult.affectedRows === 0) {
+        await this.revokeTokenFamily(connection, auth.familyId);
+        throw new StatusCodeError('refresh token reuse detected', 401);
+      }
+
+      await this.query(connection, `DELETE FROM auth WHERE familyId=? AND type='access'`, [auth.familyId]);
+      return { userId: auth.userId, familyId: auth.familyId };
+    });
+  }
+
+  async revokeTokenFamily(connection, familyId) {
+    await this.query(connection, `DELETE FROM auth WHERE familyId=?`, [familyId]);
+    await this.query(connection, `DELETE FROM session WHERE id=?`, [familyId]);
+  }
+
+  async getOrders(user, filters = {}) {
+    return this.withConnection(async (connection) => {
+      const result = await this.queryOrders(connection, ['o.dinerId=?'], [user.id], filters);
+      return { dinerId: user.id, ...result };
+    });
+  }
+
+  // A franchise's view of the orders placed at one of its stores, with the diner's name
+  async getStoreOrders(franchiseId, storeId, filters = {}) {
+    return this.withConnection(async (connection) => {
+      const storeResult = await this.query(connection, `SELECT id FROM store WHERE id=? AND franchiseId=?`, [storeId, franchiseId]);
+      if (storeResult.length === 0) {
+        throw new StatusCodeError('unknown store', 404);
+      }
+      const result = await this.queryOrders(connection, ['o.franchiseId=?', 'o.storeId=?'], [franchiseId, storeId], { ...filters, franchiseId: null, storeId: null }, true);
+      return { franchiseId, storeId, ...result };
     });
   }
 
+  // Orders are listed newest first unless sort is 'asc'. The cursor is the date and id of the
+  // last order on the previous page, which keeps pages stable while new orders come in.
+  async queryOrders(
+    connection,
+    conditions,
+    params,
+    { from = null, to = null, franchiseId = null, storeId = null, status = null, sort = 'desc', limit = config.db.listPerPage, cursor = null, page = null },
+    withDiner = false
+  ) {
+    conditions = [...conditions];
+    params = [...params];
+    const filters = [
+      ['o.date >= ?', from],
+      ['o.date < ?', to],
+      ['o.franchiseId=?', franchiseId],
+      ['o.storeId=?', storeId],
+      ['o.status=?', status],
+    ];
+    for (const [condition, value] of filters) {
+      if (value !== null) {
+        conditions.push(condition);
+        params.push(value);
+      }
+    }
+    const countResult = await this.query(connection, `SELECT COUNT(*) AS count FROM dinerOrder AS o WHERE ${conditions.join(' AND ')}`, params);
+
+    const direction = sort === 'asc' ? 'ASC' : 'DESC';
+    if (cursor) {
+      const comparison = sort === 'asc' ? '>' : '<';
+      conditions.push(`(o.date ${comparison} ? OR (o.date = ? AND o.id ${comparison} ?))`);
+      params.push(cursor.date, cursor.date, cursor.id);
+    }
+    const dinerColumns = withDiner ? ', o.dinerId, u.name AS dinerName' : '';
+    const dinerJoin = withDiner ? 'LEFT JOIN user AS u ON u.id=o.dinerId' : '';
+    const orders = await this.query(
+      connection,
+      `SELECT o.id, o.franchiseId, o.storeId, o.date, o.status${dinerColumns} FROM dinerOrder AS o ${dinerJoin} WHERE ${conditions.join(' AND ')} ORDER BY o.date ${direction}, o.id ${direction} LIMIT ? OFFSET ?`,
+      [...params, String(limit + 1), String(page ? this.getOffset(page, limit) : 0)]
+    );
+    const more = orders.length > limit;
+    const listed = orders.slice(0, limit);
+
+    if (listed.length > 0) {
+      const orderIds = listed.map((order) => order.id);
+      const placeholders = orderIds.map(() => '?').join(',');
+      const items = await this.query(connection, `SELECT id, orderId, menuId, description, price FROM orderItem WHERE orderId IN (${placeholders}) ORDER BY id`, orderIds);
+      const refunds = await this.query(connection, `SELECT orderId, SUM(amount) AS refunded FROM refund WHERE orderId IN (${placeholders}) GROUP BY orderId`, orderIds);
+      for (const order of listed) {
+        order.items = items.filter((item) => item.orderId === order.id).map(({ orderId, ...item }) => item);
+        order.total = roundPrice(order.items.reduce((sum, item) => sum + item.price, 0));
+        order.refunded = roundPrice(refunds.find((refund) => refund.orderId === order.id)?.refunded ?? 0);
+      }
+    }
+    return { orders: listed, count: countResult[0].count, more, ...(page ? { page } : {}) };
+  }
+
+  // Items are priced from the store's menu. A price sent by the client has to match it.
   async addDinerOrder(user, order) {
     return this.withConnection(async (connection) => {
-      const orderResult = await this.query(connection, `INSERT INTO dinerOrder (dinerId, franchiseId, storeId, date) VALUES (?, ?, ?, now())`, [user.id, order.franchiseId, order.storeId]);
-      const orderId = orderResult.insertId;
-      for (const item of order.items) {
-        const menuId = await this.getID(connection, 'id', item.menuId, 'menu');
-        await this.query(connection, `INSERT INTO orderItem (orderId, menuId, description, price) VALUES (?, ?, ?, ?)`, [orderId, menuId, item.description, item.price]);
+      const storeResult = await this.query(connection, `SELECT id FROM store WHERE id=? AND franchiseId=?`, [order.storeId ?? null, order.franchiseId ?? null]);
+      if (storeResult.length === 0) {
+        throw new StatusCodeError('unknown store for franchise', 400);
+      }
+      const { items, total } = await this.priceOrderItems(connection, order.items, order.storeId);
+      await connection.beginTransaction();
+      try {
+        const orderResult = await this.query(connection, `INSERT INTO dinerOrder (dinerId, franchiseId, storeId, date, status) VALUES (?, ?, ?, now(), ?)`, [
+          user.id,
+          order.franchiseId,
+          order.storeId,
+          OrderStatus.Placed,
+        ]);
+        const orderId = orderResult.insertId;
+        for (const item of items) {
+          await this.query(connection, `INSERT INTO orderItem (orderId, menuId, description, price) VALUES (?, ?, ?, ?)`, [orderId, item.menuId, item.description, item.price]);
+        }
+        await this.query(connection, `INSERT INTO orderStatusHistory (orderId, status, userId, date) VALUES (?, ?, ?, now())`, [orderId, OrderStatus.Placed, user.id]);
+        const placedOrder = { franchiseId: order.franchiseId, storeId: order.storeId, items, total, status: OrderStatus.Placed, id: orderId };
+        // The factory submission commits with the order so that it can't be lost
+        const outboxId = await this.addOutboxMessage(connection, 'factory-order', orderId, { diner: { id: user.id, name: user.name, email: user.email }, order: placedOrder });
+        await connection.commit();
+        return { ...placedOrder, outboxId };
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+  }
+
+  async addOutboxMessage(connection, type, orderId, payload) {
+    const insertResult = await this.query(connection, `INSERT INTO outbox (type, orderId, payload, status, nextAttempt, created) VALUES (?, ?, ?, ?, now(), now())`, [
+      type,
+      orderId,
+      JSON.stringify(payload),
+      OutboxStatus.Pending,
+    ]);
+    return insertResult.insertId;
+  }
+
+  // Lease due messages to one dispatcher. Each claim counts as an attempt and hides the message
+  // from other dispatchers until the lease runs out. Pass messageId to claim a single message.
+  async claimOutboxMessages(limit, leaseSeconds, messageId = null) {
+    return this.withConnection(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        const messages = await this.query(
+          connection,
+          `SELECT id, type, orderId, payload, attempts FROM outbox WHERE status=? AND nextAttempt <= now() AND (? IS NULL OR id=?) ORDER BY id LIMIT ? FOR UPDATE SKIP LOCKED`,
+          [OutboxStatus.Pending, messageId, messageId, String(limit)]
+        );
+        for (const message of messages) {
+          await this.query(connection, `UPDATE outbox SET attempts=attempts+1, nextAttempt=DATE_ADD(now(), INTERVAL ? SECOND) WHERE id=?`, [leaseSeconds, message.id]);
+        }
+        await connection.commit();
+        return messages.map((message) => ({ ...message, payload: JSON.parse(message.payload), attempts: message.attempts + 1 }));
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+  }
+
+  async completeOutboxMessage(messageId) {
+    return this.withConnection(async (connection) => {
+      await this.query(connection, `UPDATE outbox SET status=?, delivered=now(), lastError=NULL WHERE id=?`, [OutboxStatus.Delivered, messageId]);
+    });
+  }
+
+  // Schedule the next attempt after retryInSeconds, or move the message to the dead letters when retryInSeconds is null
+  async failOutboxMessage(messageId, error, retryInSeconds) {
+    return this.withConnection(async (connection) => {
+      if (retryInSeconds === null) {
+        await this.query(connection, `UPDATE outbox SET status=?, lastError=? WHERE id=?`, [OutboxStatus.Dead, error, messageId]);
+      } else {
+        await this.query(connection, `UPDATE outbox SET lastError=?, nextAttempt=DATE_ADD(now(), INTERVAL ? SECOND) WHERE id=?`, [error, retryInSeconds, messageId]);
+      }
+    });
+  }
+
+  async getOutboxMessages(status, page = 1, limit = config.db.listPerPage) {
+    return this.withConnection(async (connection) => {
+      const offset = this.getOffset(page, limit);
+      const messages = await this.query(
+        connection,
+        `SELECT id, type, orderId, payload, status, attempts, nextAttempt, lastError, created, delivered FROM outbox WHERE (? IS NULL OR status=?) ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [status, status, String(limit + 1), String(offset)]
+      );
+      const more = messages.length > limit;
+      return { messages: messages.slice(0, limit).map((message) => ({ ...message, payload: JSON.parse(message.payload) })), page, more };
+    });
+  }
+
+  async getOutboxMessage(messageId) {
+    return this.withConnection(async (connection) => {
+      const messageResult = await this.query(
+        connection,
+        `SELECT id, type, orderId, payload, status, attempts, nextAttempt, lastError, created, delivered FROM outbox WHERE id=?`,
+        [messageId]
+      );
+      const message = messageResult[0];
+      if (!message) {
+        throw new StatusCodeError('unknown outbox message', 404);
+      }
+      return { ...message, payload: JSON.parse(message.payload) };
+    });
+  }
+
+  // Give a dead message a fresh set of attempts
+  async replayOutboxMessage(messageId) {
+    return this.withConnection(async (connection) => {
+      const messageResult = await this.query(connection, `SELECT status FROM outbox WHERE id=?`, [messageId]);
+      if (messageResult.length === 0) {
+        throw new StatusCodeError('unknown outbox message', 404);
+      }
+      const updateResult = await this.query(connection, `UPDATE outbox SET status=?, attempts=0, nextAttempt=now() WHERE id=? AND status=?`, [
+        OutboxStatus.Pending,
+        messageId,
+        OutboxStatus.Dead,
+      ]);
+      if (updateResult.affectedRows === 0) {
+        throw new StatusCodeError('only dead messages can be replayed', 409);
+      }
+    });
+  }
+
+  // Claim an idempotency key for a request. Returns null when the key is new, otherwise the
+  // earlier request's hash and, once that request finished, its response.
+  async claimIdempotencyKey(userId, key, requestHash, expiresIn) {
+    return this.withConnection(async (connection) => {
+      await this.query(connection, `DELETE FROM idempotencyKey WHERE userId=? AND idempotencyKey=? AND expires <= now()`, [userId, key]);
+      try {
+        await this.query(connection, `INSERT INTO idempotencyKey (userId, idempotencyKey, requestHash, expires) VALUES (?, ?, ?, DATE_ADD(now(), INTERVAL ? SECOND))`, [
+          userId,
+          key,
+          requestHash,
+          expiresIn,
+        ]);
+        return null;
+      } catch (error) {
+        if (error.code !== 'ER_DUP_ENTRY') {
+          throw error;
+        }
+      }
+      const keyResult = await this.query(connection, `SELECT requestHash, responseStatus, responseBody FROM idempotencyKey WHERE userId=? AND idempotencyKey=?`, [userId, key]);
+      return keyResult[0];
+    });
+  }
+
+  async completeIdempotencyKey(userId, key, responseStatus, responseBody) {
+    return this.withConnection(async (connection) => {
+      await this.query(connection, `UPDATE idempotencyKey SET responseStatus=?, responseBody=? WHERE userId=? AND idempotencyKey=?`, [responseStatus, responseBody, userId, key]);
+    });
+  }
+
+  async releaseIdempotencyKey(userId, key) {
+    return this.withConnection(async (connection) => {
+      await this.query(connection, `DELETE FROM idempotencyKey WHERE userId=? AND idempotencyKey=?`, [userId, key]);
+    });
+  }
+
+  async getOrder(orderId) {
+    return this.withConnection(async (connection) => {
+      const orderResult = await this.query(connection, `SELECT id, dinerId, franchiseId, storeId, date, status FROM dinerOrder WHERE id=?`, [orderId]);
+      const order = orderResult[0];
+      if (!order) {
+        throw new StatusCodeError('unknown order', 404);
       }
-      return { ...order, id: orderId };
+      order.items = await this.query(connection, `SELECT id, menuId, description, price FROM orderItem WHERE orderId=?`, [orderId]);
+      order.history = await this.query(connection, `SELECT status, userId, date FROM orderStatusHistory WHERE orderId=? ORDER BY id`, [orderId]);
+      order.refunds = await this.query(connection, `SELECT orderItemId, amount, reason, userId, date FROM refund WHERE orderId=? ORDER BY id`, [orderId]);
+      return order;
     });
   }
 
+  // Move an order to a new status if the lifecycle allows it. userId is null for changes the
+  // service makes on its own, such as handing the order to the factory.
+  async updateOrderStatus(orderId, status, userId = null) {
+    await this.withConnection(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        await this.changeOrderStatus(connection, orderId, status, userId);
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+    return this.getOrder(orderId);
+  }
+
+  async changeOrderStatus(connection, orderId, status, userId) {
+    const orderResult = await this.query(connection, `SELECT status FROM dinerOrder WHERE id=? FOR UPDATE`, [orderId]);
+    if (orderResult.length === 0) {
+      throw new StatusCodeError('unknown order', 404);
+    }
+    const currentStatus = orderResult[0].status;
+    if (!canTransitionOrder(currentStatus, status)) {
+      throw new StatusCodeError(`order can not move from ${currentStatus} to ${status}`, 409);
+    }
+    await this.query(connection, `UPDATE dinerOrder SET status=? WHERE id=?`, [status, orderId]);
+    await this.query(connection, `INSERT INTO orderStatusHistory (orderId, status, userId, date) VALUES (?, ?, ?, now())`, [orderId, status, userId]);
+  }
+
+  // Cancelling refunds every item that hasn't been refunded yet. An order that was never sent
+  // to the factory is dropped from the outbox, otherwise the factory is told to stop making it.
+  async cancelOrder(orderId, userId, reason = null) {
+    await this.withConnection(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        await this.changeOrderStatus(connection, orderId, OrderStatus.Cancelled, userId);
+        await this.query(
+          connection,
+          `INSERT INTO refund (orderId, orderItemId, amount, reason, userId, date) SELECT oi.orderId, oi.id, oi.price, ?, ?, now() FROM orderItem AS oi WHERE oi.orderId=? AND NOT EXISTS (SELECT 1 FROM refund AS r WHERE r.orderItemId=oi.id)`,
+          [reason ?? 'cancelled', userId, orderId]
+        );
+        const submissions = await this.query(connection, `SELECT status, attempts FROM outbox WHERE orderId=? AND type='factory-order' FOR UPDATE`, [orderId]);
+        await this.query(connection, `DELETE FROM outbox WHERE orderId=? AND type='factory-order' AND status<>?`, [orderId, OutboxStatus.Delivered]);
+        // An attempt may have reached the factory even if it wasn't confirmed
+        if (submissions.some((submission) => submission.status === OutboxStatus.Delivered || submission.attempts > 0)) {
+          await this.addOutboxMessage(connection, 'factory-cancel', orderId, { orderId, reason });
+        }
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+    return this.getOrder(orderId);
+  }
+
+  // Refund the given order items, or every item that hasn't been refunded when orderItemIds is empty
+  async refundOrder(orderId, orderItemIds, userId, reason = null) {
+    await this.withConnection(async (connection) => {
+      await connection.beginTransaction();
+      try {
+        const orderResult = await this.query(connection, `SELECT id FROM dinerOrder WHERE id=? FOR UPDATE`, [orderId]);
+        if (orderResult.length === 0) {
+          throw new StatusCodeError('unknown order', 404);
+        }
+        const items = await this.query(
+          connection,
+          `SELECT oi.id, oi.price, r.id AS refundId FROM orderItem AS oi LEFT JOIN refund AS r ON r.orderItemId=oi.id WHERE oi.orderId=?`,
+          [orderId]
+        );
+        let refundItems = items.filter((item) => item.refundId === null);
+        if (orderItemIds.length > 0) {
+          refundItems = orderItemIds.map((orderItemId) => {
+            const item = items.find((item) => item.id === orderItemId);
+            if (!item) {
+              throw new StatusCodeError(`order ${orderId} has no item ${orderItemId}`, 400);
+            }
+            if (item.refundId !== null) {
+              throw new StatusCodeError(`item ${orderItemId} was already refunded`, 409);
+            }
+            return item;
+          });
+        }
+        if (refundItems.length === 0) {
+          throw new StatusCodeError('order was already refunded', 409);
+        }
+        for (const item of refundItems) {
+          await this.query(connection, `INSERT INTO refund (orderId, orderItemId, amount, reason, userId, date) VALUES (?, ?, ?, ?, ?, now())`, [
+            orderId,
+            item.id,
+            item.price,
+            reason ?? 'refunded',
+            userId,
+          ]);
+        }
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+    return this.getOrder(orderId);
+  }
+
+  // Items are priced from the menu of the store the order is for
+  async priceOrderItems(connection, requestedItems, storeId) {
+    if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+      throw new StatusCodeError('order must contain at least one item', 400);
+    }
+
+    const menuIds = [...new Set(requestedItems.map((item) => Number(item?.menuId)))];
+    if (!menuIds.every(Number.isInteger)) {
+      throw new StatusCodeError('every item needs a menuId', 400);
+    }
+    const menuResult = await this.query(
+      connection,
+      `SELECT m.id, m.title, COALESCE(sm.price, m.price) AS price, m.retired, COALESCE(sm.available, TRUE) AS available FROM menu AS m LEFT JOIN storeMenu AS sm ON sm.menuId=m.id AND sm.storeId=? WHERE m.id IN (${menuIds.map(() => '?').join(',')})`,
+      [storeId ?? null, ...menuIds]
+    );
+    const menu = new Map(menuResult.map((menuItem) => [menuItem.id, menuItem]));
+
+    const items = requestedItems.map((item) => {
+      const menuItem = menu.get(Number(item.menuId));
+      if (!menuItem) {
+        throw new StatusCodeError(`unknown menu item ${item.menuId}`, 400);
+      }
+      if (menuItem.retired) {
+        throw new StatusCodeError(`${menuItem.title} is no longer on the menu`, 400);
+      }
+      if (!menuItem.available) {
+        throw new StatusCodeError(`${menuItem.title} is not available at this store`, 400);
+      }
+      // Prices are stored with 8 decimal places
+      if (item.price !== undefined && roundPrice(item.price) !== menuItem.price) {
+        throw new StatusCodeError(`price of ${menuItem.title} is ${menuItem.price}, not ${item.price}`, 409);
+      }
+      return { menuId: menuItem.id, description: menuItem.title, price: menuItem.price };
+    });
+    const total = roundPrice(items.reduce((sum, item) => sum + item.price, 0));
+    return { items, total };
+  }
+
   async createFranchise(franchise) {
     return this.withConnection(async (connection) => {
       for (const admin of franchise.admins) {
@@ -182,6 +1116,7 @@ class DB {
     return this.withConnection(async (connection) => {
       await connection.beginTransaction();
       try {
+        await this.query(connection, `DELETE FROM storeMenu WHERE storeId IN (SELECT id FROM store WHERE franchiseId=?)`, [franchiseId]);
         await this.query(connection, `DELETE FROM store WHERE franchiseId=?`, [franchiseId]);
         await this.query(connection, `DELETE FROM userRole WHERE objectId=?`, [franchiseId]);
         await this.query(connection, `DELETE FROM franchise WHERE id=?`, [franchiseId]);
@@ -193,34 +1128,58 @@ class DB {
     });
   }
 
-  async getFranchises(authUser) {
+  // Admins, and others allowed to see revenue, get the admins and store revenue for each franchise
+  async getFranchises(withRevenue = false) {
     return this.withConnection(async (connection) => {
-      const franchises = await this.query(connection, `SELECT id, name FROM franchise`);
-      for (const franchise of franchises) {
-        if (authUser?.isRole(Role.Admin)) {
-          await this.getFranchise(franchise);
-        } else {
-          franchise.stores = await this.query(connection, `SELECT id, name FROM store WHERE franchiseId=?`, [franchise.id]);
-        }
-      }
-      return franchises;
+      const franchises = await this.query(connection, `SELECT id, name FROM franchise ORDER BY id`);
+      return this.addFranchiseDetails(connection, franchises, withRevenue);
     });
   }
 
   async getUserFranchises(userId) {
     return this.withConnection(async (connection) => {
-      let franchiseIds = await this.query(connection, `SELECT objectId FROM userRole WHERE role='franchisee' AND userId=?`, [userId]);
-      if (franchiseIds.length === 0) {
-        return [];
-      }
+      const franchises = await this.query(
+        connection,
+        `SELECT f.id, f.name FROM franchise AS f WHERE f.id IN (SELECT objectId FROM userRole WHERE role='franchisee' AND userId=?) ORDER BY f.id`,
+        [userId]
+      );
+      return this.addFranchiseDetails(connection, franchises, true);
+    });
+  }
 
-      franchiseIds = franchiseIds.map((v) => v.objectId);
-      const franchises = await this.query(connection, `SELECT id, name FROM franchise WHERE id in (${franchiseIds.join(',')})`);
-      for (const franchise of franchises) {
-        await this.getFranchise(franchise);
-      }
+  // Load the stores of every franchise at once, and with revenue also the admins, rather than querying each franchise
+  async addFranchiseDetails(connection, franchises, withRevenue) {
+    if (franchises.length === 0) {
       return franchises;
-    });
+    }
+    const franchiseIds = franchises.map((franchise) => franchise.id);
+    const placeholders = franchiseIds.map(() => '?').join(',');
+
+    let admins = [];
+    let stores;
+    if (withRevenue) {
+      admins = await this.query(
+        connection,
+        `SELECT ur.objectId AS franchiseId, u.id, u.name, u.email FROM userRole AS ur JOIN user AS u ON u.id=ur.userId WHERE ur.role='franchisee' AND ur.objectId IN (${placeholders})`,
+        franchiseIds
+      );
+      stores = await this.query(
+        connection,
+        `SELECT s.franchiseId, s.id, s.name, COALESCE(SUM(oi.price - COALESCE(r.amount, 0)), 0) AS totalRevenue FROM store AS s LEFT JOIN dinerOrder AS do ON do.storeId=s.id LEFT JOIN orderItem AS oi ON oi.orderId=do.id LEFT JOIN refund AS r ON r.orderItemId=oi.id WHERE s.franchiseId IN (${placeholders}) GROUP BY s.id ORDER BY s.id`,
+        franchiseIds
+      );
+    } else {
+      stores = await this.query(connection, `SELECT franchiseId, id, name FROM store WHERE franchiseId IN (${placeholders}) ORDER BY id`, franchiseIds);
+    }
+
+    const belongingTo = (rows, franchise) => rows.filter((row) => row.franchiseId === franchise.id).map(({ franchiseId, ...row }) => row);
+    for (const franchise of franchises) {
+      if (withRevenue) {
+        franchise.admins = belongingTo(admins, franchise);
+      }
+      franchise.stores = belongingTo(stores, franchise);
+    }
+    return franchises;
   }
 
   async getFranchise(franchise) {
@@ -229,7 +1188,7 @@ class DB {
 
       franchise.stores = await this.query(
         connection,
-        `SELECT s.id, s.name, COALESCE(SUM(oi.price), 0) AS totalRevenue FROM dinerOrder AS do JOIN orderItem AS oi ON do.id=oi.orderId RIGHT JOIN store AS s ON s.id=do.storeId WHERE s.franchiseId=? GROUP BY s.id`,
+        `SELECT s.id, s.name, COALESCE(SUM(oi.price - COALESCE(r.amount, 0)), 0) AS totalRevenue FROM dinerOrder AS do JOIN orderItem AS oi ON do.id=oi.orderId LEFT JOIN refund AS r ON r.orderItemId=oi.id RIGHT JOIN store AS s ON s.id=do.storeId WHERE s.franchiseId=? GROUP BY s.id`,
         [franchise.id]
       );
 
@@ -246,6 +1205,7 @@ class DB {
 
   async deleteStore(franchiseId, storeId) {
     return this.withConnection(async (connection) => {
+      await this.query(connection, `DELETE FROM storeMenu WHERE storeId IN (SELECT id FROM store WHERE franchiseId=? AND id=?)`, [franchiseId, storeId]);
       await this.query(connection, `DELETE FROM store WHERE franchiseId=? AND id=?`, [franchiseId, storeId]);
     });
   }
@@ -262,6 +1222,11 @@ class DB {
     return '';
   }
 
+  // Opaque tokens are only ever stored as a hash so a database leak does not expose them.
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
   // Helper method to safely execute queries with a connection from the pool
   async withConnection(callback) {
     // Ensure the pool is created and initialized
@@ -280,14 +1245,16 @@ class DB {
     }
   }
 
-  async query(connection, sql, params) {
+  // Queries that store secrets pass logParams: false so that the values never reach the logs
+  async query(connection, sql, params, { logParams = true } = {}) {
+    const loggedParams = logParams ? params : '*****';
     try {
-      const logCallback = logger.dbLogger(sql, params);
+      const logCallback = logger.dbLogger(sql, loggedParams);
       const [rows] = await connection.execute(sql, params);
       logCallback(null, rows);
       return rows;
     } catch (error) {
-      logger.dbLogger(sql, params)(error, null);
+      logger.dbLogger(sql, loggedParams)(error, null);
       throw error;
     }
   }
@@ -325,6 +1292,8 @@ class DB {
         for (const statement of dbModel.tableCreateStatements) {
           await connection.query(statement);
         }
+
+        await this.applyMigrations(connection);
         /* 아래는 수정전
         if (!dbExists) {
           const defaultAdmin = { name: '常用名字', email: 'a@jwt.com', password: 'admin', roles: [{ role: Role.Admin }] };
@@ -336,6 +1305,7 @@ class DB {
             name: "常用名字",
             email: "a@jwt.com",
             password: "admin",
+            verified: true,
             roles: [{ role: Role.Admin }],
           };
           this.addUser(defaultAdmin);
@@ -345,6 +1315,33 @@ class DB {
       }
     } catch (err) {
       console.error(JSON.stringify({ message: 'Error initializing database', exception: err.message, connection: config.db.connection }));
+      // Later code expects every migration, so a partly migrated database can't be used
+      if (err.migration) {
+        throw err;
+      }
+    }
+  }
+
+  // A migration's check query returns the rows that keep it from applying
+  async applyMigrations(connection) {
+    for (const migration of dbModel.migrations) {
+      if (await this.checkMigrationApplied(connection, migration)) {
+        continue;
+      }
+      const name = `${migration.table}.${migration.column ?? migration.index}`;
+      try {
+        if (migration.check) {
+          const [rows] = await connection.query(migration.check);
+          if (rows.length > 0) {
+            throw new Error(`resolve these rows first: ${JSON.stringify(rows)}`);
+          }
+        }
+        for (const statement of [migration.statement].flat()) {
+          await connection.query(statement);
+        }
+      } catch (error) {
+        throw Object.assign(new Error(`migration ${name} failed: ${error.message}`), { migration: name });
+      }
     }
   }
 
@@ -352,6 +1349,14 @@ class DB {
     const [rows] = await connection.execute(`SELECT SCHEMA_NAME FROM INFORMATION_SCHEMA.SCHEMATA WHERE SCHEMA_NAME = ?`, [config.db.connection.database]);
     return rows.length > 0;
   }
+
+  async checkMigrationApplied(connection, migration) {
+    const database = config.db.connection.database;
+    const [rows] = migration.index
+      ? await connection.execute(`SELECT INDEX_NAME FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND INDEX_NAME = ?`, [database, migration.table, migration.index])
+      : await connection.execute(`SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND COLUMN_NAME = ?`, [database, migration.table, migration.column]);
+    return rows.length > 0;
+  }
 }
 
 const db = new DB();
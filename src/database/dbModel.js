@@ -1,14 +1,70 @@
 const tableCreateStatements = [
   `CREATE TABLE IF NOT EXISTS auth (
     token VARCHAR(512) PRIMARY KEY,
-    userId INT NOT NULL
+    userId INT NOT NULL,
+    type VARCHAR(16) NOT NULL DEFAULT 'access',
+    familyId VARCHAR(64) NOT NULL DEFAULT '',
+    expires DATETIME,
+    rotated BOOLEAN NOT NULL DEFAULT FALSE,
+    INDEX (userId),
+    INDEX (familyId)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS session (
+    id VARCHAR(64) PRIMARY KEY,
+    userId INT NOT NULL,
+    created DATETIME NOT NULL,
+    lastSeen DATETIME NOT NULL,
+    userAgent VARCHAR(512),
+    ip VARCHAR(64),
+    INDEX (userId)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS signingKey (
+    kid VARCHAR(64) PRIMARY KEY,
+    alg VARCHAR(8) NOT NULL,
+    secret VARCHAR(255),
+    privateKey TEXT,
+    publicKey TEXT,
+    status VARCHAR(16) NOT NULL,
+    created DATETIME NOT NULL,
+    retired DATETIME
   )`,
 
   `CREATE TABLE IF NOT EXISTS user (
     id INT AUTO_INCREMENT PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
-    email VARCHAR(255) NOT NULL,
-    password VARCHAR(255) NOT NULL
+    email VARCHAR(255) NOT NULL UNIQUE,
+    password VARCHAR(255) NOT NULL,
+    verified BOOLEAN NOT NULL DEFAULT FALSE,
+    disabled BOOLEAN NOT NULL DEFAULT FALSE
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS userToken (
+    token VARCHAR(64) PRIMARY KEY,
+    userId INT NOT NULL,
+    purpose VARCHAR(16) NOT NULL,
+    expires DATETIME NOT NULL,
+    used BOOLEAN NOT NULL DEFAULT FALSE,
+    FOREIGN KEY (userId) REFERENCES user(id),
+    INDEX (userId)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS twoFactor (
+    userId INT PRIMARY KEY,
+    secret VARCHAR(64) NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    lastUsedStep BIGINT NOT NULL DEFAULT 0,
+    FOREIGN KEY (userId) REFERENCES user(id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS recoveryCode (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    userId INT NOT NULL,
+    code VARCHAR(64) NOT NULL,
+    used BOOLEAN NOT NULL DEFAULT FALSE,
+    FOREIGN KEY (userId) REFERENCES user(id),
+    INDEX (userId)
   )`,
 
   `CREATE TABLE IF NOT EXISTS menu (
@@ -16,7 +72,20 @@ const tableCreateStatements = [
     title VARCHAR(255) NOT NULL,
     image VARCHAR(1024) NOT NULL,
     price DECIMAL(10, 8) NOT NULL,
-    description TEXT NOT NULL
+    description TEXT NOT NULL,
+    retired BOOLEAN NOT NULL DEFAULT FALSE,
+    category VARCHAR(32) NOT NULL DEFAULT 'pizza',
+    sortOrder INT NOT NULL DEFAULT 0,
+    INDEX (category)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS menuTag (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    menuId INT NOT NULL,
+    tag VARCHAR(32) NOT NULL,
+    FOREIGN KEY (menuId) REFERENCES menu(id),
+    UNIQUE INDEX (menuId, tag),
+    INDEX (tag)
   )`,
 
   `CREATE TABLE IF NOT EXISTS franchise (
@@ -31,6 +100,17 @@ const tableCreateStatements = [
     FOREIGN KEY (franchiseId) REFERENCES franchise(id)
   )`,
 
+  `CREATE TABLE IF NOT EXISTS storeMenu (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    storeId INT NOT NULL,
+    menuId INT NOT NULL,
+    available BOOLEAN NOT NULL DEFAULT TRUE,
+    price DECIMAL(10, 8),
+    FOREIGN KEY (storeId) REFERENCES store(id),
+    FOREIGN KEY (menuId) REFERENCES menu(id),
+    UNIQUE INDEX (storeId, menuId)
+  )`,
+
   `CREATE TABLE IF NOT EXISTS userRole (
     id INT AUTO_INCREMENT PRIMARY KEY,
     userId INT NOT NULL,
@@ -46,6 +126,7 @@ const tableCreateStatements = [
     franchiseId INT NOT NULL,
     storeId INT NOT NULL,
     date DATETIME NOT NULL,
+    status VARCHAR(32) NOT NULL DEFAULT 'placed',
     INDEX (dinerId),
     INDEX (franchiseId),
     INDEX (storeId)
@@ -60,6 +141,75 @@ const tableCreateStatements = [
     FOREIGN KEY (orderId) REFERENCES dinerOrder(id),
     INDEX (menuId)
   )`,
+
+  `CREATE TABLE IF NOT EXISTS outbox (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    type VARCHAR(32) NOT NULL,
+    orderId INT,
+    payload TEXT NOT NULL,
+    status VARCHAR(16) NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    nextAttempt DATETIME NOT NULL,
+    lastError TEXT,
+    created DATETIME NOT NULL,
+    delivered DATETIME,
+    INDEX (status, nextAttempt),
+    INDEX (orderId)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS idempotencyKey (
+    userId INT NOT NULL,
+    idempotencyKey VARCHAR(255) NOT NULL,
+    requestHash CHAR(64) NOT NULL,
+    responseStatus INT,
+    responseBody MEDIUMTEXT,
+    expires DATETIME NOT NULL,
+    PRIMARY KEY (userId, idempotencyKey),
+    INDEX (expires)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS refund (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    orderId INT NOT NULL,
+    orderItemId INT NOT NULL,
+    amount DECIMAL(10, 8) NOT NULL,
+    reason VARCHAR(255) NOT NULL,
+    userId INT,
+    date DATETIME NOT NULL,
+    FOREIGN KEY (orderItemId) REFERENCES orderItem(id),
+    UNIQUE INDEX (orderItemId),
+    INDEX (orderId)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS orderStatusHistory (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    orderId INT NOT NULL,
+    status VARCHAR(32) NOT NULL,
+    userId INT,
+    date DATETIME NOT NULL,
+    FOREIGN KEY (orderId) REFERENCES dinerOrder(id),
+    INDEX (orderId)
+  )`,
+];
+
+// Columns and indexes added after a table was first created. The statements only run
+// when the column or index is missing so that existing databases pick up the change.
+const migrations = [
+  { table: 'auth', column: 'type', statement: `ALTER TABLE auth ADD COLUMN type VARCHAR(16) NOT NULL DEFAULT 'access'` },
+  { table: 'auth', column: 'familyId', statement: `ALTER TABLE auth ADD COLUMN familyId VARCHAR(64) NOT NULL DEFAULT '', ADD INDEX (familyId)` },
+  { table: 'auth', column: 'expires', statement: `ALTER TABLE auth ADD COLUMN expires DATETIME` },
+  { table: 'auth', column: 'rotated', statement: `ALTER TABLE auth ADD COLUMN rotated BOOLEAN NOT NULL DEFAULT FALSE` },
+  // Accounts that existed before email verification are treated as verified
+  { table: 'user', column: 'verified', statement: [`ALTER TABLE user ADD COLUMN verified BOOLEAN NOT NULL DEFAULT TRUE`, `ALTER TABLE user ALTER COLUMN verified SET DEFAULT FALSE`] },
+  // Accounts used to be able to share an email. Those have to be merged or renamed by hand first.
+  { table: 'user', index: 'email', check: `SELECT email FROM user GROUP BY email HAVING COUNT(*) > 1`, statement: `ALTER TABLE user ADD UNIQUE INDEX email (email)` },
+  { table: 'user', column: 'disabled', statement: `ALTER TABLE user ADD COLUMN disabled BOOLEAN NOT NULL DEFAULT FALSE` },
+  // Orders from before status tracking are treated as delivered
+  { table: 'dinerOrder', column: 'status', statement: [`ALTER TABLE dinerOrder ADD COLUMN status VARCHAR(32) NOT NULL DEFAULT 'delivered'`, `ALTER TABLE dinerOrder ALTER COLUMN status SET DEFAULT 'placed'`] },
+  { table: 'menu', column: 'retired', statement: `ALTER TABLE menu ADD COLUMN retired BOOLEAN NOT NULL DEFAULT FALSE` },
+  // Items from before categories were pizzas
+  { table: 'menu', column: 'category', statement: `ALTER TABLE menu ADD COLUMN category VARCHAR(32) NOT NULL DEFAULT 'pizza', ADD INDEX (category)` },
+  { table: 'menu', column: 'sortOrder', statement: `ALTER TABLE menu ADD COLUMN sortOrder INT NOT NULL DEFAULT 0` },
 ];
 
-module.exports = { tableCreateStatements };
+module.exports = { tableCreateStatements, migrations };
@@ -0,0 +1,141 @@
+const config = require('./config.js');
+const { DB } = require('./database/database.js');
+const logger = require('./logging/logger.js');
+
+// Times are in seconds. Every heartbeat also checks that each stream's session still exists.
+const streamConfig = {
+  heartbeatSeconds: 15,
+  retrySeconds: 5,
+  ...config.streams,
+};
+
+function orderStatusEvent(order) {
+  const latest = order.history[order.history.length - 1];
+  return { orderId: order.id, status: order.status, date: latest?.date ?? order.date };
+}
+
+/**
+ * Server-Sent Event streams. Each stream listens on a channel and belongs to the session that
+ * opened it, so it can be closed when the session is revoked. Streams live in this process.
+ */
+class EventStreams {
+  /**
+   * @param {object} store - Session lookup, normally DB
+   * @param {object} options - Timing settings, see streamConfig
+   */
+  constructor(store, options = streamConfig) {
+    this.store = store;
+    this.options = options;
+    this.streams = new Set();
+    this.timer = null;
+  }
+
+  /**
+   * Turn the response into an event stream on channel for the authenticated user
+   */
+  open(req, res, channel) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Proxies must pass events through as they are written
+      'X-Accel-Buffering': 'no',
+    });
+    res.write(`retry: ${this.options.retrySeconds * 1000}\n\n`);
+
+    const stream = { channel, userId: req.user.id, sessionId: req.user.sessionId, res };
+    this.streams.add(stream);
+    req.on('close', () => this.streams.delete(stream));
+    this.start();
+    return stream;
+  }
+
+  publish(channel, event, data) {
+    for (const stream of this.streams) {
+      if (stream.channel === channel) {
+        this.send(stream, event, data);
+      }
+    }
+  }
+
+  send(stream, event, data) {
+    stream.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // Follow an order's status, starting with the status it has now
+  watchOrder(req, res, order) {
+    const stream = this.open(req, res, `order:${order.id}`);
+    this.send(stream, 'status', orderStatusEvent(order));
+  }
+
+  // Follow the orders placed at a store
+  watchStore(req, res, franchiseId, storeId) {
+    this.open(req, res, `store:${franchiseId}:${storeId}`);
+  }
+
+  // Tell the diner and anyone else following the order about its new status
+  publishOrderStatus(order) {
+    this.publish(`order:${order.id}`, 'status', orderStatusEvent(order));
+  }
+
+  // Tell the store's franchisees about an order that was just placed
+  publishNewOrder(order, diner) {
+    this.publish(`store:${order.franchiseId}:${order.storeId}`, 'order', { ...order, dinerId: diner.id, dinerName: diner.name });
+  }
+
+  closeSession(sessionId) {
+    this.close((stream) => stream.sessionId === sessionId);
+  }
+
+  closeUserSessions(userId) {
+    this.close((stream) => stream.userId === userId);
+  }
+
+  close(matches) {
+    for (const stream of this.streams) {
+      if (matches(stream)) {
+        this.streams.delete(stream);
+        this.send(stream, 'revoked', { message: 'session revoked' });
+        stream.res.end();
+      }
+    }
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.heartbeat(), this.options.heartbeatSeconds * 1000);
+      // Open streams alone shouldn't keep the process alive
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Keep idle connections open and close the streams of sessions that were revoked some
+   * other way, such as a password change or a disabled account
+   */
+  async heartbeat() {
+    if (this.streams.size === 0) {
+      this.stop();
+      return;
+    }
+    try {
+      const sessionIds = [...new Set([...this.streams].map((stream) => stream.sessionId))];
+      const activeIds = new Set(await this.store.getActiveSessionIds(sessionIds));
+      this.close((stream) => !activeIds.has(stream.sessionId));
+    } catch (error) {
+      logger.log('warn', 'streams', { message: 'unable to check stream sessions', exception: error.message });
+    }
+    for (const stream of this.streams) {
+      stream.res.write(': heartbeat\n\n');
+    }
+  }
+}
+
+module.exports = new EventStreams(DB);
+module.exports.EventStreams = EventStreams;
+module.exports.streamConfig = streamConfig;
@@ -0,0 +1,124 @@
+const { EventEmitter } = require('events');
+const { EventStreams } = require('./eventStreams.js');
+const logger = require('./logging/logger.js');
+
+const options = { heartbeatSeconds: 15, retrySeconds: 5 };
+
+function createStore(activeSessionIds) {
+  return {
+    async getActiveSessionIds(sessionIds) {
+      return sessionIds.filter((sessionId) => activeSessionIds.includes(sessionId));
+    },
+  };
+}
+
+// Opens a stream for a user and records what is written to it
+function connect(streams, user, open) {
+  const req = new EventEmitter();
+  req.user = user;
+  const res = {
+    output: '',
+    ended: false,
+    writeHead(status, headers) {
+      this.status = status;
+      this.headers = headers;
+    },
+    write(chunk) {
+      this.output += chunk;
+    },
+    end() {
+      this.ended = true;
+    },
+  };
+  open(req, res);
+  return { req, res };
+}
+
+const diner = { id: 4, name: 'pizza diner', sessionId: 'session-4' };
+const franchisee = { id: 2, name: 'pizza franchisee', sessionId: 'session-2' };
+const order = { id: 1, franchiseId: 1, storeId: 1, date: new Date('2024-06-05T05:14:40Z'), status: 'placed', items: [], history: [{ status: 'placed', date: new Date('2024-06-05T05:14:40Z') }] };
+
+let streams;
+
+beforeEach(() => {
+  jest.spyOn(logger, 'log').mockImplementation(() => {});
+  streams = new EventStreams(createStore(['session-2', 'session-4']), options);
+});
+
+afterEach(() => {
+  streams.stop();
+  jest.restoreAllMocks();
+});
+
+test('order streams start with the current status', () => {
+  const { res } = connect(streams, diner, (req, res) => streams.watchOrder(req, res, order));
+  expect(res.status).toBe(200);
+  expect(res.headers['Content-Type']).toBe('text/event-stream');
+  expect(res.output).toBe('retry: 5000\n\nevent: status\ndata: {"orderId":1,"status":"placed","date":"2024-06-05T05:14:40.000Z"}\n\n');
+});
+
+test('status changes only reach streams for that order', () => {
+  const watching = connect(streams, diner, (req, res) => streams.watchOrder(req, res, order));
+  const other = connect(streams, diner, (req, res) => streams.watchOrder(req, res, { ...order, id: 2 }));
+  const store = connect(streams, franchisee, (req, res) => streams.watchStore(req, res, 1, 1));
+  const before = other.res.output;
+
+  const date = new Date('2024-06-05T05:16:02Z');
+  streams.publishOrderStatus({ ...order, status: 'baking', history: [...order.history, { status: 'baking', date }] });
+
+  expect(watching.res.output).toMatch(/event: status\ndata: {"orderId":1,"status":"baking","date":"2024-06-05T05:16:02.000Z"}\n\n$/);
+  expect(other.res.output).toBe(before);
+  expect(store.res.output).toBe('retry: 5000\n\n');
+});
+
+test('new orders reach the store stream with the diner', () => {
+  const store = connect(streams, franchisee, (req, res) => streams.watchStore(req, res, 1, 1));
+  const otherStore = connect(streams, franchisee, (req, res) => streams.watchStore(req, res, 1, 2));
+
+  streams.publishNewOrder({ id: 1, franchiseId: 1, storeId: 1, status: 'placed' }, diner);
+
+  expect(store.res.output).toMatch(/event: order\ndata: {"id":1,"franchiseId":1,"storeId":1,"status":"placed","dinerId":4,"dinerName":"pizza diner"}\n\n$/);
+  expect(otherStore.res.output).toBe('retry: 5000\n\n');
+});
+
+test('closed connections stop receiving events', () => {
+  const { req } = connect(streams, diner, (req, res) => streams.watchOrder(req, res, order));
+  req.emit('close');
+  expect(streams.streams.size).toBe(0);
+});
+
+test('revoking a session ends its streams', () => {
+  const dinerStream = connect(streams, diner, (req, res) => streams.watchOrder(req, res, order));
+  const storeStream = connect(streams, franchisee, (req, res) => streams.watchStore(req, res, 1, 1));
+
+  streams.closeSession('session-4');
+
+  expect(dinerStream.res.ended).toBe(true);
+  expect(dinerStream.res.output).toMatch(/event: revoked\n/);
+  expect(storeStream.res.ended).toBe(false);
+
+  streams.closeUserSessions(franchisee.id);
+  expect(storeStream.res.ended).toBe(true);
+  expect(streams.streams.size).toBe(0);
+});
+
+test('heartbeat closes streams of sessions revoked elsewhere', async () => {
+  const active = connect(streams, franchisee, (req, res) => streams.watchStore(req, res, 1, 1));
+  const revoked = connect(streams, { ...diner, sessionId: 'session-gone' }, (req, res) => streams.watchOrder(req, res, order));
+
+  await streams.heartbeat();
+
+  expect(revoked.res.ended).toBe(true);
+  expect(active.res.ended).toBe(false);
+  expect(active.res.output).toMatch(/: heartbeat\n\n$/);
+});
+
+test('heartbeat keeps streams open when sessions can not be checked', async () => {
+  streams.store = { getActiveSessionIds: async () => Promise.reject(new Error('database down')) };
+  const stream = connect(streams, diner, (req, res) => streams.watchOrder(req, res, order));
+
+  await streams.heartbeat();
+
+  expect(stream.res.ended).toBe(false);
+  expect(logger.log).toHaveBeenCalledWith('warn', 'streams', expect.objectContaining({ exception: 'database down' }));
+});
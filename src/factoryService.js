@@ -1,55 +1,130 @@
 const config = require('./config.js');
 const logger = require('./logging/logger.js');
+const { CircuitBreaker, CircuitState } = require('./circuitBreaker.js');
+const { trackFactoryCall, trackFactoryCircuit } = require('./metrics.js');
+
+// Times are in seconds. Only safe (GET) requests are retried, orders are retried by the outbox.
+const factoryConfig = {
+  timeoutSeconds: 10,
+  retries: 2,
+  retryDelaySeconds: 0.5,
+  ...config.factory,
+  circuitBreaker: { failureThreshold: 5, openSeconds: 30, ...config.factory?.circuitBreaker },
+};
+
+const safeMethods = ['GET', 'HEAD'];
+
+// Server errors and unreachable factories count against the circuit breaker. A 4xx means the
+// factory is up and didn't like the request.
+function isFactoryFailure(error) {
+  return !error.status || error.status >= 500;
+}
 
 /**
- * Factory Service wrapper with logging
+ * Factory Service wrapper with logging, timeouts, retries and a circuit breaker
  */
 class FactoryService {
+  /**
+   * @param {object} options - Factory url, apiKey and resilience settings, see factoryConfig
+   * @param {function} now - Clock in milliseconds, replaceable for testing
+   */
+  constructor(options = factoryConfig, now = Date.now) {
+    this.options = options;
+    this.circuitBreaker = new CircuitBreaker('pizza factory', options.circuitBreaker, (state, previousState) => {
+      trackFactoryCircuit(state);
+      logger.log(state === CircuitState.Open ? 'error' : 'info', 'factory', { message: 'circuit breaker state changed', state, previousState });
+    }, now);
+  }
+
   /**
    * Send a request to the factory service with logging
-   * 
+   *
    * @param {string} endpoint - The endpoint to call on the factory service
    * @param {string} method - HTTP method (GET, POST, etc)
    * @param {object} body - Request body
-   * @returns {Promise<object>} - Response from the factory
+   * @returns {Promise<object>} - Response from the factory. Server errors are returned once retries are used up.
    */
   async sendRequest(endpoint, method, body) {
-    const url = `${config.factory.url}${endpoint}`;
+    const attempts = safeMethods.includes(method) ? this.options.retries + 1 : 1;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.circuitBreaker.call(() => this.fetchOnce(endpoint, method, body), isFactoryFailure);
+      } catch (error) {
+        // Error responses are returned to the caller, everything else is thrown
+        const lastAttempt = attempt >= attempts || error.circuitOpen;
+        if (lastAttempt || !isFactoryFailure(error)) {
+          if (error.response) {
+            return error.response;
+          }
+          throw error;
+        }
+        await new Promise((resolve) => setTimeout(resolve, this.options.retryDelaySeconds * 1000 * 2 ** (attempt - 1)));
+      }
+    }
+  }
+
+  async fetchOnce(endpoint, method, body) {
+    const url = `${this.options.url}${endpoint}`;
     const requestBody = body ? JSON.stringify(body) : undefined;
-    
+
     // Create logger callback
     const logCallback = logger.factoryLogger(url, method, body);
-    
+
     try {
       const response = await fetch(url, {
         method: method,
-        headers: { 
-          'Content-Type': 'application/json', 
-          authorization: `Bearer ${config.factory.apiKey}` 
+        headers: {
+          'Content-Type': 'application/json',
+          authorization: `Bearer ${this.options.apiKey}`
         },
         body: requestBody,
+        signal: AbortSignal.timeout(this.options.timeoutSeconds * 1000),
       });
-      
-      const responseBody = await response.json();
-      
+
+      // Error pages from proxies in front of the factory aren't JSON
+      const text = await response.text();
+      let responseBody;
+      try {
+        responseBody = JSON.parse(text);
+      } catch {
+        responseBody = { message: text };
+      }
+
       // Log the request
       logCallback(null, responseBody, response.status);
-      
-      return {
+
+      const result = {
         ok: response.ok,
         status: response.status,
         body: responseBody
       };
+      if (!response.ok) {
+        trackFactoryCall(response.status >= 500 ? 'failure' : 'rejected');
+        const error = new Error(`factory responded with ${response.status}`);
+        error.status = response.status;
+        error.response = result;
+        throw error;
+      }
+      trackFactoryCall('success');
+      return result;
     } catch (error) {
-      // Log the error
-      logCallback(error, null, 0);
+      if (error.name === 'TimeoutError') {
+        trackFactoryCall('timeout');
+        logCallback(error, null, 0);
+        throw new Error(`factory did not respond within ${this.options.timeoutSeconds} seconds`);
+      }
+      if (!error.response) {
+        trackFactoryCall('failure');
+        // Log the error
+        logCallback(error, null, 0);
+      }
       throw error;
     }
   }
-  
+
   /**
    * Send an order to the factory
-   * 
+   *
    * @param {object} diner - The diner information
    * @param {object} order - The order details
    * @returns {Promise<object>} - Response from the factory
@@ -57,6 +132,19 @@ class FactoryService {
   async sendOrder(diner, order) {
     return this.sendRequest('/api/order', 'POST', { diner, order });
   }
+
+  /**
+   * Tell the factory to stop making a cancelled order
+   *
+   * @param {number} orderId - The cancelled order
+   * @param {string} reason - Why the order was cancelled
+   * @returns {Promise<object>} - Response from the factory
+   */
+  async cancelOrder(orderId, reason) {
+    return this.sendRequest(`/api/order/${orderId}/cancel`, 'POST', { reason });
+  }
 }
 
-module.exports = new FactoryService(); 
\ No newline at end of file
+module.exports = new FactoryService();
+module.exports.FactoryService = FactoryService;
+module.exports.factoryConfig = factoryConfig;
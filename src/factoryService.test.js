@@ -0,0 +1,118 @@
+const express = require('express');
+const { FactoryService } = require('./factoryService.js');
+const { CircuitState } = require('./circuitBreaker.js');
+const { getFactoryMetrics } = require('./metrics.js');
+const logger = require('./logging/logger.js');
+
+// A local stand in for the pizza factory. Each route misbehaves in a different way.
+let server;
+let baseUrl;
+const calls = {};
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    calls[req.path] = (calls[req.path] || 0) + 1;
+    next();
+  });
+  app.post('/api/order', (req, res) => res.json({ jwt: 'pizza', reportUrl: 'http://factory/report', order: req.body.order }));
+  app.get('/ok', (req, res) => res.json({ ok: true }));
+  app.get('/slow', (req, res) => setTimeout(() => res.json({ slow: true }), 500));
+  app.all('/down', (req, res) => res.status(503).send('<html>Service Unavailable</html>'));
+  app.get('/bad-request', (req, res) => res.status(400).json({ message: 'bad pizza' }));
+  app.get('/flaky', (req, res) => (calls['/flaky'] < 3 ? res.status(500).json({ message: 'oven on fire' }) : res.json({ recovered: true })));
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  jest.spyOn(logger, 'log').mockImplementation(() => {});
+  Object.keys(calls).forEach((path) => delete calls[path]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+function createService(options = {}, now = Date.now) {
+  return new FactoryService(
+    {
+      url: baseUrl,
+      apiKey: 'test-key',
+      timeoutSeconds: 0.1,
+      retries: 2,
+      retryDelaySeconds: 0,
+      circuitBreaker: { failureThreshold: 3, openSeconds: 30 },
+      ...options,
+    },
+    now
+  );
+}
+
+test('send order', async () => {
+  const response = await createService().sendOrder({ id: 1 }, { id: 2 });
+  expect(response).toEqual({ ok: true, status: 200, body: { jwt: 'pizza', reportUrl: 'http://factory/report', order: { id: 2 } } });
+});
+
+test('slow responses time out', async () => {
+  await expect(createService({ retries: 0 }).sendRequest('/slow', 'GET')).rejects.toThrow(/did not respond within 0.1 seconds/);
+});
+
+test('non JSON error bodies are returned as a message', async () => {
+  const response = await createService().sendRequest('/down', 'POST');
+  expect(response).toEqual({ ok: false, status: 503, body: { message: '<html>Service Unavailable</html>' } });
+  expect(calls['/down']).toBe(1);
+});
+
+test('safe requests are retried', async () => {
+  const response = await createService().sendRequest('/flaky', 'GET');
+  expect(response.body).toEqual({ recovered: true });
+  expect(calls['/flaky']).toBe(3);
+});
+
+test('client errors are not retried and do not trip the breaker', async () => {
+  const service = createService({ circuitBreaker: { failureThreshold: 1, openSeconds: 30 } });
+  const response = await service.sendRequest('/bad-request', 'GET');
+  expect(response.status).toBe(400);
+  expect(calls['/bad-request']).toBe(1);
+  expect(service.circuitBreaker.state).toBe(CircuitState.Closed);
+});
+
+test('circuit breaker fails fast while the factory is down and recovers', async () => {
+  let now = 0;
+  const service = createService({ retries: 0 }, () => now);
+
+  for (let i = 0; i < 3; i++) {
+    expect((await service.sendRequest('/down', 'GET')).status).toBe(503);
+  }
+  expect(service.circuitBreaker.state).toBe(CircuitState.Open);
+  expect(getFactoryMetrics().circuitState).toBe(CircuitState.Open);
+  expect(logger.log).toHaveBeenCalledWith('error', 'factory', expect.objectContaining({ state: CircuitState.Open }));
+
+  // No request reaches the factory while the circuit is open
+  await expect(service.sendOrder({ id: 1 }, { id: 2 })).rejects.toMatchObject({ statusCode: 503, circuitOpen: true });
+  expect(calls['/api/order']).toBeUndefined();
+
+  // After the open period one trial call is let through
+  now += 30000;
+  expect((await service.sendRequest('/down', 'GET')).status).toBe(503);
+  expect(service.circuitBreaker.state).toBe(CircuitState.Open);
+
+  now += 30000;
+  expect((await service.sendOrder({ id: 1 }, { id: 2 })).ok).toBe(true);
+  expect(service.circuitBreaker.state).toBe(CircuitState.Closed);
+  expect(getFactoryMetrics().circuitState).toBe(CircuitState.Closed);
+});
+
+test('unreachable factory', async () => {
+  const service = createService({ url: 'http://127.0.0.1:1', retries: 0 });
+  await expect(service.sendRequest('/ok', 'GET')).rejects.toThrow();
+  expect(getFactoryMetrics().calls.failure).toBeGreaterThan(0);
+});
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const config = require('./config.js');
+const { DB } = require('./database/database.js');
+const { StatusCodeError, asyncHandler } = require('./endpointHelper.js');
+const logger = require('./logging/logger.js');
+
+const idempotencyConfig = {
+  keyExpiresIn: 24 * 60 * 60,
+  ...config.idempotency,
+};
+
+const maxKeyLength = 255;
+
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([req.method, req.originalUrl, req.body ?? null]))
+    .digest('hex');
+}
+
+/**
+ * Middleware that makes a request safe to retry when the client sends an Idempotency-Key header.
+ * The first response for a key is stored and replayed as-is for later requests with the same key.
+ * Reusing a key with a different request, or while the first request is still running, is a 409.
+ * Server errors release the key so that the client can try again, unless the handler already saved
+ * its change and called markCommitted, since a retry would then repeat it. Keys are scoped to the
+ * user, so the middleware has to come after authorization.
+ */
+function idempotency() {
+  return asyncHandler(async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+      return next();
+    }
+    if (key.length === 0 || key.length > maxKeyLength) {
+      throw new StatusCodeError(`Idempotency-Key must be between 1 and ${maxKeyLength} characters`, 400);
+    }
+
+    const userId = req.user.id;
+    const requestHash = hashRequest(req);
+    const previous = await DB.claimIdempotencyKey(userId, key, requestHash, idempotencyConfig.keyExpiresIn);
+    if (previous) {
+      if (previous.requestHash !== requestHash) {
+        throw new StatusCodeError('Idempotency-Key was already used for a different request', 409);
+      }
+      if (previous.responseStatus === null) {
+        throw new StatusCodeError('a request with this Idempotency-Key is still in progress', 409);
+      }
+      res.setHeader('Idempotent-Replayed', 'true');
+      res.status(previous.responseStatus).type('json').send(previous.responseBody);
+      return;
+    }
+
+    // Store the response before it goes out so that an immediate retry is replayed
+    const send = res.send;
+    res.send = (body) => {
+      res.send = send;
+      const release = res.statusCode >= 500 && !res.locals.idempotencyCommitted;
+      const stored = release ? DB.releaseIdempotencyKey(userId, key) : DB.completeIdempotencyKey(userId, key, res.statusCode, typeof body === 'string' ? body : JSON.stringify(body));
+      stored
+        .catch((error) => logger.log('error', 'idempotency', { message: 'unable to store idempotent response', key, exception: error.message }))
+        .finally(() => send.call(res, body));
+      return res;
+    };
+    next();
+  });
+}
+
+// Call once the request's change is saved so that a later server error is replayed rather than retried
+function markCommitted(res) {
+  res.locals.idempotencyCommitted = true;
+}
+
+module.exports = { idempotency, markCommitted, idempotencyConfig };
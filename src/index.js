@@ -1,6 +1,17 @@
 const app = require('./service.js');
+const outbox = require('./outbox.js');
+const { DB } = require('./database/database.js');
 
 const port = process.argv[2] || 3000;
-app.listen(port, () => {
-  console.log(`Server started on port ${port}`);
-});
+DB.initialized.then(
+  () => {
+    app.listen(port, () => {
+      console.log(`Server started on port ${port}`);
+    });
+
+    // Keep retrying factory deliveries that couldn't be made while the order was placed
+    outbox.start();
+  },
+  // The failed migration was already logged
+  () => process.exit(1)
+);
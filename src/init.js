@@ -8,5 +8,5 @@ if (process.argv.length < 5) {
 const name = process.argv[2];
 const email = process.argv[3];
 const password = process.argv[4];
-const user = { name, email, password, roles: [{ role: Role.Admin }] };
+const user = { name, email, password, verified: true, roles: [{ role: Role.Admin }] };
 DB.addUser(user).then((r) => console.log('created user: ', r));
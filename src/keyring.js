@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const util = require('util');
+const jwt = require('jsonwebtoken');
+const config = require('./config.js');
+const { DB } = require('./database/database.js');
+const { StatusCodeError } = require('./endpointHelper.js');
+
+const generateKeyPair = util.promisify(crypto.generateKeyPair);
+
+// The secret from config.js keeps signing until the first rotation and verifies tokens issued
+// before keys had ids. Its row in the signingKey table only records its status.
+const LEGACY_KID = 'legacy';
+
+const KeyStatus = {
+  Active: 'active',
+  Verify: 'verify',
+  Retired: 'retired',
+};
+
+const algorithms = ['HS256', 'RS256', 'ES256'];
+
+/**
+ * Signs tokens with the active key and verifies them with any key that has not been retired.
+ * Keys are stored in the database so that every instance of the service sees a rotation.
+ */
+class Keyring {
+  /**
+   * @param {object} store - Persists keys, normally DB
+   * @param {number} cacheSeconds - How long keys are cached before they are read again
+   */
+  constructor(store, cacheSeconds = config.auth?.signingKeyCacheSeconds ?? 60) {
+    this.store = store;
+    this.cacheSeconds = cacheSeconds;
+    this.keys = null;
+    this.loaded = 0;
+  }
+
+  async getKeys(reload = false) {
+    if (reload || !this.keys || Date.now() - this.loaded > this.cacheSeconds * 1000) {
+      const keys = await this.store.getSigningKeys();
+      if (!keys.some((key) => key.kid === LEGACY_KID)) {
+        keys.push({ kid: LEGACY_KID, alg: 'HS256', status: keys.some((key) => key.status === KeyStatus.Active) ? KeyStatus.Verify : KeyStatus.Active, created: null });
+      }
+      this.keys = keys.map((key) => (key.kid === LEGACY_KID ? { ...key, secret: config.jwtSecret } : key));
+      this.loaded = Date.now();
+    }
+    return this.keys;
+  }
+
+  async sign(payload, options = {}) {
+    const key = (await this.getKeys()).find((k) => k.status === KeyStatus.Active);
+    return jwt.sign(payload, key.secret ?? key.privateKey, { ...options, algorithm: key.alg, keyid: key.kid });
+  }
+
+  /**
+   * Verify a token and return its payload. Throws if the token's key is unknown or retired.
+   */
+  async verify(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const kid = decoded.header.kid ?? LEGACY_KID;
+    let key = (await this.getKeys()).find((k) => k.kid === kid);
+    if (!key) {
+      // The key may have been added by another instance since the cache was loaded
+      key = (await this.getKeys(true)).find((k) => k.kid === kid);
+    }
+    if (!key || key.status === KeyStatus.Retired) {
+      throw new jwt.JsonWebTokenError('unknown signing key');
+    }
+    return jwt.verify(token, key.secret ?? key.publicKey, { algorithms: [key.alg] });
+  }
+
+  /**
+   * Create a new active key. The previous active key keeps verifying until it is retired.
+   */
+  async rotate(alg = 'HS256') {
+    if (!algorithms.includes(alg)) {
+      throw new StatusCodeError(`alg must be one of ${algorithms.join(', ')}`, 400);
+    }
+
+    const key = { kid: crypto.randomUUID(), alg, secret: null, privateKey: null, publicKey: null };
+    if (alg === 'HS256') {
+      key.secret = crypto.randomBytes(64).toString('base64url');
+    } else {
+      const pair = alg === 'RS256' ? await generateKeyPair('rsa', { modulusLength: 2048 }) : await generateKeyPair('ec', { namedCurve: 'prime256v1' });
+      key.privateKey = pair.privateKey.export({ type: 'pkcs8', format: 'pem' });
+      key.publicKey = pair.publicKey.export({ type: 'spki', format: 'pem' });
+    }
+
+    const previous = (await this.getKeys()).find((k) => k.status === KeyStatus.Active);
+    await this.store.addSigningKey(key, previous.kid);
+    return this.describe((await this.getKeys(true)).find((k) => k.kid === key.kid));
+  }
+
+  /**
+   * Stop accepting tokens signed with a key. The active key can't be retired.
+   */
+  async retire(kid) {
+    const key = (await this.getKeys(true)).find((k) => k.kid === kid);
+    if (!key) {
+      throw new StatusCodeError('unknown signing key', 404);
+    }
+    if (key.status === KeyStatus.Active) {
+      throw new StatusCodeError('the active signing key can not be retired', 409);
+    }
+    await this.store.retireSigningKey(kid);
+    await this.getKeys(true);
+  }
+
+  async list() {
+    return (await this.getKeys()).map((key) => this.describe(key));
+  }
+
+  /**
+   * Public keys in JSON Web Key Set format so other services can verify our tokens. Only
+   * asymmetric keys can be published.
+   */
+  async jwks() {
+    const keys = (await this.getKeys()).filter((key) => key.publicKey && key.status !== KeyStatus.Retired);
+    return {
+      keys: keys.map((key) => ({ ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }), kid: key.kid, alg: key.alg, use: 'sig' })),
+    };
+  }
+
+  describe(key) {
+    return { kid: key.kid, alg: key.alg, status: key.status, created: key.created };
+  }
+}
+
+module.exports = new Keyring(DB);
+module.exports.Keyring = Keyring;
+module.exports.KeyStatus = KeyStatus;
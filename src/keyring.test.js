@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('./config.js');
+const { Keyring, KeyStatus } = require('./keyring.js');
+
+// In memory stand in for the signingKey table
+function createStore() {
+  const rows = [];
+  return {
+    rows,
+    async getSigningKeys() {
+      return rows.map((row) => ({ ...row }));
+    },
+    async addSigningKey(key, previousKid) {
+      rows.filter((row) => row.status === KeyStatus.Active).forEach((row) => (row.status = KeyStatus.Verify));
+      if (!rows.some((row) => row.kid === previousKid)) {
+        rows.push({ kid: previousKid, alg: 'HS256', status: KeyStatus.Verify, created: new Date() });
+      }
+      rows.push({ ...key, status: KeyStatus.Active, created: new Date() });
+    },
+    async retireSigningKey(kid) {
+      rows.find((row) => row.kid === kid).status = KeyStatus.Retired;
+    },
+  };
+}
+
+test('signs with the config secret until the first rotation', async () => {
+  const keyring = new Keyring(createStore());
+  const token = await keyring.sign({ id: 1 });
+
+  expect(jwt.decode(token, { complete: true }).header.kid).toBe('legacy');
+  expect(jwt.verify(token, config.jwtSecret).id).toBe(1);
+  expect((await keyring.verify(token)).id).toBe(1);
+});
+
+test('tokens without a kid are verified with the config secret', async () => {
+  const keyring = new Keyring(createStore());
+  const token = jwt.sign({ id: 1 }, config.jwtSecret);
+
+  expect((await keyring.verify(token)).id).toBe(1);
+});
+
+test('rotation keeps old tokens valid until the key is retired', async () => {
+  const keyring = new Keyring(createStore());
+  const oldToken = await keyring.sign({ id: 1 });
+
+  const key = await keyring.rotate('HS256');
+  expect(key).toMatchObject({ alg: 'HS256', status: KeyStatus.Active });
+  const newToken = await keyring.sign({ id: 2 });
+  expect(jwt.decode(newToken, { complete: true }).header.kid).toBe(key.kid);
+
+  expect((await keyring.verify(oldToken)).id).toBe(1);
+  expect((await keyring.verify(newToken)).id).toBe(2);
+
+  await keyring.retire('legacy');
+  await expect(keyring.verify(oldToken)).rejects.toThrow(/unknown signing key/);
+  expect((await keyring.verify(newToken)).id).toBe(2);
+});
+
+test('the active key can not be retired', async () => {
+  const keyring = new Keyring(createStore());
+  const key = await keyring.rotate();
+
+  await expect(keyring.retire(key.kid)).rejects.toMatchObject({ statusCode: 409 });
+  await expect(keyring.retire('unknown')).rejects.toMatchObject({ statusCode: 404 });
+});
+
+test.each(['RS256', 'ES256'])('%s keys are published in the jwks', async (alg) => {
+  const keyring = new Keyring(createStore());
+  const key = await keyring.rotate(alg);
+  const token = await keyring.sign({ id: 3 });
+
+  const jwks = await keyring.jwks();
+  expect(jwks.keys.length).toBe(1);
+  expect(jwks.keys[0]).toMatchObject({ kid: key.kid, alg, use: 'sig' });
+  expect(jwks.keys[0].d).toBeUndefined();
+
+  // Anyone with the published key can verify the token
+  const publicKey = crypto.createPublicKey({ key: jwks.keys[0], format: 'jwk' });
+  expect(jwt.verify(token, publicKey, { algorithms: [alg] }).id).toBe(3);
+});
+
+test('keys added by another instance are picked up', async () => {
+  const store = createStore();
+  const keyring = new Keyring(store);
+  const otherKeyring = new Keyring(store);
+  await keyring.list();
+
+  await otherKeyring.rotate();
+  const token = await otherKeyring.sign({ id: 4 });
+  expect((await keyring.verify(token)).id).toBe(4);
+});
+
+test('unsupported algorithm', async () => {
+  const keyring = new Keyring(createStore());
+  await expect(keyring.rotate('none')).rejects.toMatchObject({ statusCode: 400 });
+});
@@ -125,6 +125,8 @@ class Logger {
    */
   sanitize(data) {
     if (!data) return data;
+    // Uploaded and served files are logged by size only
+    if (Buffer.isBuffer(data)) return `<${data.length} bytes>`;
     
     let stringData = typeof data === 'string' ? data : JSON.stringify(data);
     
@@ -136,6 +138,16 @@ class Logger {
     stringData = stringData.replace(/\\"token\\":\s*\\"[^"]*\\"/g, '\\"token\\": \\"*****\\"');
     stringData = stringData.replace(/"token":\s*"[^"]*"/g, '"token": "*****"');
     stringData = stringData.replace(/Bearer\s+[^\s"]+/g, 'Bearer *****');
+    stringData = stringData.replace(/\\"refreshToken\\":\s*\\"[^"]*\\"/g, '\\"refreshToken\\": \\"*****\\"');
+    stringData = stringData.replace(/"refreshToken":\s*"[^"]*"/g, '"refreshToken": "*****"');
+    stringData = stringData.replace(/\\"challenge\\":\s*\\"[^"]*\\"/g, '\\"challenge\\": \\"*****\\"');
+    stringData = stringData.replace(/"challenge":\s*"[^"]*"/g, '"challenge": "*****"');
+    
+    // Sanitize two factor secrets and recovery codes
+    stringData = stringData.replace(/\\"(secret|otpauthUrl|recoveryCode)\\":\s*\\"[^"]*\\"/g, '\\"$1\\": \\"*****\\"');
+    stringData = stringData.replace(/"(secret|otpauthUrl|recoveryCode)":\s*"[^"]*"/g, '"$1": "*****"');
+    stringData = stringData.replace(/\\"recoveryCodes\\":\s*\[[^\]]*\]/g, '\\"recoveryCodes\\": \\"*****\\"');
+    stringData = stringData.replace(/"recoveryCodes":\s*\[[^\]]*\]/g, '"recoveryCodes": "*****"');
     
     // Sanitize API keys
     stringData = stringData.replace(/\\"apiKey\\":\s*\\"[^"]*\\"/g, '\\"apiKey\\": \\"*****\\"');
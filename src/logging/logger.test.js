@@ -0,0 +1,48 @@
+const logger = require('./logger.js');
+
+test('refresh tokens are masked', () => {
+  const sanitized = logger.sanitize({ token: 'AAAA', refreshToken: 'RRRR' });
+  expect(sanitized).not.toMatch(/AAAA|RRRR/);
+  expect(JSON.parse(sanitized)).toEqual({ token: '*****', refreshToken: '*****' });
+});
+
+test('two factor challenges are masked', () => {
+  const sanitized = logger.sanitize({ challenge: 'CCCC', code: '123456' });
+  expect(JSON.parse(sanitized)).toEqual({ challenge: '*****', code: '123456' });
+});
+
+test('logged bodies are masked again inside the log entry', () => {
+  const reqBody = logger.sanitize({ refreshToken: 'RRRR' });
+  expect(logger.sanitize({ reqBody: JSON.stringify({ refreshToken: 'RRRR' }) })).not.toMatch(/RRRR/);
+  expect(logger.sanitize({ reqBody })).not.toMatch(/RRRR/);
+});
+
+test('two factor secrets and recovery codes are masked', () => {
+  const setup = logger.sanitize({ secret: 'JBSWY3DPEHPK3PXP', otpauthUrl: 'otpauth://totp/JWT%20Pizza?secret=JBSWY3DPEHPK3PXP' });
+  expect(setup).not.toMatch(/JBSWY3DPEHPK3PXP/);
+  const enable = logger.sanitize({ recoveryCodes: ['ABCD-EFGH', 'IJKL-MNOP'], token: 'AAAA' });
+  expect(JSON.parse(enable)).toEqual({ recoveryCodes: '*****', token: '*****' });
+  const login = logger.sanitize({ challenge: 'CCCC', recoveryCode: 'ABCD-EFGH' });
+  expect(login).not.toMatch(/ABCD-EFGH/);
+});
+
+test('queries can leave their params out of the log', async () => {
+  const { DB } = require('../database/database.js');
+  const dbLoggerSpy = jest.spyOn(logger, 'dbLogger').mockReturnValue(() => {});
+  const connection = { execute: jest.fn().mockResolvedValue([[]]) };
+  await DB.query(connection, 'UPDATE twoFactor SET secret=? WHERE userId=?', ['JBSWY3DPEHPK3PXP', 1], { logParams: false });
+  expect(connection.execute).toHaveBeenCalledWith('UPDATE twoFactor SET secret=? WHERE userId=?', ['JBSWY3DPEHPK3PXP', 1]);
+  expect(dbLoggerSpy).toHaveBeenCalledWith('UPDATE twoFactor SET secret=? WHERE userId=?', '*****');
+  dbLoggerSpy.mockRestore();
+});
+
+test('signing keys are not logged', async () => {
+  const { DB } = require('../database/database.js');
+  const dbLoggerSpy = jest.spyOn(logger, 'dbLogger').mockReturnValue(() => {});
+  const connection = { execute: jest.fn().mockResolvedValue([[]]), beginTransaction: jest.fn(), commit: jest.fn(), rollback: jest.fn() };
+  const withConnectionSpy = jest.spyOn(DB, 'withConnection').mockImplementation((callback) => callback(connection));
+  await DB.addSigningKey({ kid: 'k2', alg: 'RS256', secret: null, privateKey: 'PRIVATE KEY PEM', publicKey: 'PUBLIC KEY PEM' }, 'k1');
+  expect(JSON.stringify(dbLoggerSpy.mock.calls)).not.toMatch(/PRIVATE KEY PEM/);
+  withConnectionSpy.mockRestore();
+  dbLoggerSpy.mockRestore();
+});
@@ -0,0 +1,108 @@
+const config = require('./config.js');
+
+// Thresholds are in seconds. Email limits protect a single account while the looser
+// IP limits slow down one client guessing across many accounts.
+const throttleConfig = {
+  windowSeconds: 15 * 60,
+  lockoutSeconds: 15 * 60,
+  baseDelaySeconds: 1,
+  maxDelaySeconds: 60,
+  ...config.loginThrottle,
+  email: { freeAttempts: 3, maxAttempts: 10, ...config.loginThrottle?.email },
+  ip: { freeAttempts: 20, maxAttempts: 100, ...config.loginThrottle?.ip },
+};
+
+/**
+ * Tracks failed logins per email and per client IP. After the free attempts are used up each
+ * failure makes the client wait exponentially longer before the next attempt, and reaching the
+ * maximum attempts locks the key out entirely.
+ */
+class LoginThrottle {
+  /**
+   * @param {object} options - Thresholds, see throttleConfig
+   * @param {function} onLockout - Called with (kind, key, lockoutSeconds) when a key is locked out
+   * @param {function} now - Clock in milliseconds, replaceable for testing
+   */
+  constructor(options = throttleConfig, onLockout = () => {}, now = Date.now) {
+    this.options = options;
+    this.onLockout = onLockout;
+    this.now = now;
+    this.attempts = { email: new Map(), ip: new Map() };
+    this.lastPrune = { email: 0, ip: 0 };
+  }
+
+  /**
+   * Returns the number of seconds the client has to wait before trying again, or 0 if the
+   * attempt is allowed.
+   */
+  check(email, ip) {
+    const wait = Math.max(this.blockedFor('email', email), this.blockedFor('ip', ip));
+    return Math.ceil(wait / 1000);
+  }
+
+  recordFailure(email, ip) {
+    this.addFailure('email', email);
+    this.addFailure('ip', ip);
+  }
+
+  recordSuccess(email) {
+    this.attempts.email.delete(email);
+  }
+
+  blockedFor(kind, key) {
+    const entry = this.attempts[kind].get(key);
+    if (!entry) {
+      return 0;
+    }
+
+    const now = this.now();
+    if (entry.blockedUntil > now) {
+      return entry.blockedUntil - now;
+    }
+    if (entry.failures >= this.options[kind].maxAttempts || now - entry.lastFailure > this.options.windowSeconds * 1000) {
+      this.attempts[kind].delete(key);
+    }
+    return 0;
+  }
+
+  addFailure(kind, key) {
+    if (!key) {
+      return;
+    }
+
+    const now = this.now();
+    this.prune(kind, now);
+    let entry = this.attempts[kind].get(key);
+    if (!entry || now - entry.lastFailure > this.options.windowSeconds * 1000) {
+      entry = { failures: 0, lastFailure: now, blockedUntil: 0 };
+      this.attempts[kind].set(key, entry);
+    }
+
+    entry.failures++;
+    entry.lastFailure = now;
+    const { freeAttempts, maxAttempts } = this.options[kind];
+    if (entry.failures >= maxAttempts) {
+      entry.blockedUntil = now + this.options.lockoutSeconds * 1000;
+      this.onLockout(kind, key, this.options.lockoutSeconds);
+    } else if (entry.failures > freeAttempts) {
+      const delay = Math.min(this.options.baseDelaySeconds * 2 ** (entry.failures - freeAttempts - 1), this.options.maxDelaySeconds);
+      entry.blockedUntil = now + delay * 1000;
+    }
+  }
+
+  // Forget keys that have not failed recently so the maps don't grow without bound
+  prune(kind, now) {
+    if (now - this.lastPrune[kind] < 60 * 1000) {
+      return;
+    }
+    this.lastPrune[kind] = now;
+    const expired = Math.max(this.options.windowSeconds, this.options.lockoutSeconds) * 1000;
+    for (const [key, entry] of this.attempts[kind]) {
+      if (now - entry.lastFailure > expired && entry.blockedUntil <= now) {
+        this.attempts[kind].delete(key);
+      }
+    }
+  }
+}
+
+module.exports = { LoginThrottle, throttleConfig };
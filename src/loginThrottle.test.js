@@ -0,0 +1,86 @@
+const { LoginThrottle } = require('./loginThrottle.js');
+
+const options = {
+  windowSeconds: 60,
+  lockoutSeconds: 300,
+  baseDelaySeconds: 1,
+  maxDelaySeconds: 4,
+  email: { freeAttempts: 2, maxAttempts: 6 },
+  ip: { freeAttempts: 10, maxAttempts: 20 },
+};
+
+function createThrottle() {
+  const clock = { now: 0 };
+  const onLockout = jest.fn();
+  const throttle = new LoginThrottle(options, onLockout, () => clock.now);
+  return { clock, onLockout, throttle };
+}
+
+test('free attempts are not delayed', () => {
+  const { throttle } = createThrottle();
+  throttle.recordFailure('d@jwt.com', '1.1.1.1');
+  throttle.recordFailure('d@jwt.com', '1.1.1.1');
+  expect(throttle.check('d@jwt.com', '1.1.1.1')).toBe(0);
+});
+
+test('delay doubles after the free attempts', () => {
+  const { clock, throttle } = createThrottle();
+  const delays = [];
+  for (let i = 0; i < 5; i++) {
+    throttle.recordFailure('d@jwt.com', '1.1.1.1');
+    const wait = throttle.check('d@jwt.com', '1.1.1.1');
+    delays.push(wait);
+    clock.now += wait * 1000;
+  }
+  expect(delays).toEqual([0, 0, 1, 2, 4]);
+});
+
+test('reaching max attempts locks out the email', () => {
+  const { onLockout, throttle } = createThrottle();
+  for (let i = 0; i < 6; i++) {
+    throttle.recordFailure('d@jwt.com', `1.1.1.${i}`);
+  }
+  expect(throttle.check('d@jwt.com', '2.2.2.2')).toBe(300);
+  expect(throttle.check('f@jwt.com', '2.2.2.2')).toBe(0);
+  expect(onLockout).toHaveBeenCalledWith('email', 'd@jwt.com', 300);
+});
+
+test('ip is locked out across emails', () => {
+  const { onLockout, throttle } = createThrottle();
+  for (let i = 0; i < 20; i++) {
+    throttle.recordFailure(`${i}@jwt.com`, '1.1.1.1');
+  }
+  expect(throttle.check('new@jwt.com', '1.1.1.1')).toBe(300);
+  expect(onLockout).toHaveBeenCalledWith('ip', '1.1.1.1', 300);
+});
+
+test('lockout expires', () => {
+  const { clock, throttle } = createThrottle();
+  for (let i = 0; i < 6; i++) {
+    throttle.recordFailure('d@jwt.com', '1.1.1.1');
+  }
+  clock.now += 301 * 1000;
+  expect(throttle.check('d@jwt.com', '1.1.1.1')).toBe(0);
+  throttle.recordFailure('d@jwt.com', '1.1.1.1');
+  expect(throttle.check('d@jwt.com', '1.1.1.1')).toBe(0);
+});
+
+test('success clears email failures', () => {
+  const { throttle } = createThrottle();
+  for (let i = 0; i < 3; i++) {
+    throttle.recordFailure('d@jwt.com', '1.1.1.1');
+  }
+  expect(throttle.check('d@jwt.com', '9.9.9.9')).toBe(1);
+  throttle.recordSuccess('d@jwt.com');
+  expect(throttle.check('d@jwt.com', '9.9.9.9')).toBe(0);
+});
+
+test('failures outside the window are forgotten', () => {
+  const { clock, throttle } = createThrottle();
+  for (let i = 0; i < 3; i++) {
+    throttle.recordFailure('d@jwt.com', '1.1.1.1');
+  }
+  clock.now += 61 * 1000;
+  throttle.recordFailure('d@jwt.com', '1.1.1.1');
+  expect(throttle.check('d@jwt.com', '1.1.1.1')).toBe(0);
+});
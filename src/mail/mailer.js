@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config.js');
+const logger = require('../logging/logger.js');
+
+const mailConfig = {
+  transport: 'console',
+  directory: 'mail',
+  from: 'noreply@jwt-pizza.com',
+  appUrl: 'http://localhost:5173',
+  ...config.mail,
+};
+
+/**
+ * Interface for delivering mail. Implementations only need to provide send.
+ */
+class MailTransport {
+  /**
+   * Deliver a message
+   *
+   * @param {object} message - { from, to, subject, text }
+   * @returns {Promise<void>}
+   */
+  async send() {
+    throw new Error('send not implemented');
+  }
+}
+
+/**
+ * Writes each message to the console. Useful for local development.
+ */
+class ConsoleTransport extends MailTransport {
+  async send(message) {
+    console.log(`To: ${message.to}\nFrom: ${message.from}\nSubject: ${message.subject}\n\n${message.text}`);
+  }
+}
+
+/**
+ * Writes each message as a JSON file so that it can be inspected offline.
+ */
+class FileTransport extends MailTransport {
+  constructor(directory) {
+    super();
+    this.directory = directory;
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.promises.writeFile(path.join(this.directory, fileName), JSON.stringify(message, null, 2));
+  }
+}
+
+function createTransport(name) {
+  switch (name) {
+    case 'file':
+      // Relative to the repository root, wherever the service is started from
+      return new FileTransport(path.resolve(__dirname, '../..', mailConfig.directory));
+    case 'console':
+      return new ConsoleTransport();
+    default:
+      throw new Error(`unknown mail transport ${name}`);
+  }
+}
+
+class Mailer {
+  constructor(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send a message through the configured transport
+   */
+  async send(to, subject, text) {
+    const message = { from: mailConfig.from, to, subject, text };
+    await this.transport.send(message);
+    logger.log('info', 'mail', { to, subject });
+  }
+
+  /**
+   * Send a password reset link
+   */
+  async sendPasswordReset(user, token) {
+    const link = `${mailConfig.appUrl}/reset-password?token=${token}`;
+    await this.send(user.email, 'Reset your JWT Pizza password', `Hi ${user.name},\n\nUse the following link to choose a new password:\n\n${link}\n\nIf you did not ask to reset your password you can ignore this email.`);
+  }
+
+  /**
+   * Send an email address confirmation link
+   */
+  async sendEmailVerification(user, token) {
+    const link = `${mailConfig.appUrl}/verify-email?token=${token}`;
+    await this.send(user.email, 'Confirm your JWT Pizza email address', `Hi ${user.name},\n\nUse the following link to confirm your email address so that you can start ordering pizza:\n\n${link}`);
+  }
+}
+
+module.exports = new Mailer(createTransport(mailConfig.transport));
+module.exports.MailTransport = MailTransport;
+module.exports.ConsoleTransport = ConsoleTransport;
+module.exports.FileTransport = FileTransport;
@@ -0,0 +1,28 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mailer = require('./mailer.js');
+
+test('file transport writes each message', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+  const transport = new mailer.FileTransport(directory);
+
+  await transport.send({ from: 'noreply@jwt-pizza.com', to: 'd@jwt.com', subject: 'hello', text: 'pizza' });
+
+  const files = fs.readdirSync(directory);
+  expect(files.length).toBe(1);
+  const message = JSON.parse(fs.readFileSync(path.join(directory, files[0]), 'utf8'));
+  expect(message).toEqual({ from: 'noreply@jwt-pizza.com', to: 'd@jwt.com', subject: 'hello', text: 'pizza' });
+  fs.rmSync(directory, { recursive: true });
+});
+
+test('password reset link contains the token', async () => {
+  const sendSpy = jest.spyOn(mailer.transport, 'send').mockResolvedValue();
+
+  await mailer.sendPasswordReset({ name: 'pizza diner', email: 'd@jwt.com' }, 'abc123');
+
+  const message = sendSpy.mock.calls[0][0];
+  expect(message.to).toBe('d@jwt.com');
+  expect(message.text).toContain('token=abc123');
+  sendSpy.mockRestore();
+});
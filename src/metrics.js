@@ -44,7 +44,14 @@ const metrics = {
     failed: 0,
     registrationAttempts: 0,
     successfulRegistrations: 0,
-    failedRegistrations: 0
+    failedRegistrations: 0,
+    lockouts: {}
+  },
+  // Pizza factory calls by outcome and the state of its circuit breaker
+  factory: {
+    calls: {},
+    circuitState: 'closed',
+    circuitOpened: 0
   }
 };
 
@@ -145,6 +152,24 @@ function trackAuthentication(isSuccessful, isRegistration = false) {
   }
 }
 
+// Function to track login lockouts by kind (email or ip)
+function trackLockout(kind) {
+  metrics.authentication.lockouts[kind] = (metrics.authentication.lockouts[kind] || 0) + 1;
+}
+
+// Function to track the outcome of a pizza factory call (success, failure, timeout or rejected)
+function trackFactoryCall(outcome) {
+  metrics.factory.calls[outcome] = (metrics.factory.calls[outcome] || 0) + 1;
+}
+
+// Function to track the factory circuit breaker state
+function trackFactoryCircuit(state) {
+  metrics.factory.circuitState = state;
+  if (state === 'open') {
+    metrics.factory.circuitOpened++;
+  }
+}
+
 // Function to track purchase metrics
 function trackPurchase(orderData, factoryResponseTime, isSuccessful) {
   // Count total purchases
@@ -279,11 +304,29 @@ function purchaseMetrics(builder) {
 }
 
 function authMetrics(builder) {
-  // Add specific auth metrics here if they're not covered in userMetrics
-  // For now, we've integrated them into userMetrics
-  if (builder) {
-    // Just in case we want to add more auth-specific metrics in the future
-  }
+  // Login lockouts caused by brute-force protection
+  Object.keys(metrics.authentication.lockouts).forEach((kind) => {
+    builder.addMetric('auth_lockouts', metrics.authentication.lockouts[kind], { type: 'authentication', kind });
+  });
+}
+
+const circuitStateValues = { closed: 0, 'half-open': 1, open: 2 };
+
+function factoryMetrics(builder) {
+  Object.keys(metrics.factory.calls).forEach((outcome) => {
+    builder.addMetric('factory_calls', metrics.factory.calls[outcome], { type: 'factory', outcome });
+  });
+  builder.addMetric('factory_circuit_state', circuitStateValues[metrics.factory.circuitState], { type: 'factory', state: metrics.factory.circuitState });
+  builder.addMetric('factory_circuit_opened', metrics.factory.circuitOpened, { type: 'factory' });
+}
+
+// Function to get pizza factory metrics
+function getFactoryMetrics() {
+  return {
+    calls: { ...metrics.factory.calls },
+    circuitState: metrics.factory.circuitState,
+    circuitOpened: metrics.factory.circuitOpened
+  };
 }
 
 function sendMetricToGrafana(metricData) {
@@ -351,6 +394,7 @@ function getAuthenticationMetrics() {
       attempts: metrics.authentication.attempts,
       successful: metrics.authentication.successful,
       failed: metrics.authentication.failed,
+      lockouts: { ...metrics.authentication.lockouts },
       successRate: metrics.authentication.attempts > 0 
         ? (metrics.authentication.successful / metrics.authentication.attempts * 100).toFixed(2) 
         : 0
@@ -376,6 +420,7 @@ function sendMetricsPeriodically(period = 30000) {
       userMetrics(builder);
       purchaseMetrics(builder);
       authMetrics(builder);
+      factoryMetrics(builder);
 
       const metricsToSend = builder.getMetrics();
       
@@ -389,13 +434,17 @@ function sendMetricsPeriodically(period = 30000) {
   }, period);
 }
 
-// Initialize metrics collection
-sendMetricsPeriodically(30000);
+// Initialize metrics collection. Reporting alone shouldn't keep the process alive.
+sendMetricsPeriodically(30000).unref();
 
 module.exports = { 
   track, 
   requestTracker, 
   trackPurchase, 
   trackAuthentication,
-  getAuthenticationMetrics
+  trackLockout,
+  trackFactoryCall,
+  trackFactoryCircuit,
+  getAuthenticationMetrics,
+  getFactoryMetrics
 };
@@ -4,4 +4,53 @@ const Role = {
   Admin: 'admin',
 };
 
-module.exports = { Role };
+const OrderStatus = {
+  Placed: 'placed',
+  SentToFactory: 'sent-to-factory',
+  Baking: 'baking',
+  Ready: 'ready',
+  Delivered: 'delivered',
+  Failed: 'failed',
+  Cancelled: 'cancelled',
+};
+
+// The statuses an order may move to from each status. Delivered and cancelled orders are done.
+// A failed order can only go back to the factory when an admin replays its delivery.
+const orderStatusTransitions = {
+  [OrderStatus.Placed]: [OrderStatus.SentToFactory, OrderStatus.Failed, OrderStatus.Cancelled],
+  [OrderStatus.SentToFactory]: [OrderStatus.Baking, OrderStatus.Failed, OrderStatus.Cancelled],
+  [OrderStatus.Baking]: [OrderStatus.Ready, OrderStatus.Failed],
+  [OrderStatus.Ready]: [OrderStatus.Delivered],
+  [OrderStatus.Delivered]: [],
+  [OrderStatus.Failed]: [OrderStatus.SentToFactory],
+  [OrderStatus.Cancelled]: [],
+};
+
+// The statuses franchisees and admins can set by hand, failed being for orders the factory lost.
+// The outbox moves orders to sent-to-factory, or to failed when it can't deliver them, and
+// cancelling has its own route because it also refunds.
+const manualOrderStatuses = [OrderStatus.Baking, OrderStatus.Ready, OrderStatus.Delivered, OrderStatus.Failed];
+
+const OutboxStatus = {
+  Pending: 'pending',
+  Delivered: 'delivered',
+  Dead: 'dead',
+};
+
+const MenuCategory = {
+  Pizza: 'pizza',
+  Sides: 'sides',
+  Drinks: 'drinks',
+};
+
+const DietaryTag = {
+  Vegetarian: 'vegetarian',
+  GlutenFree: 'gluten-free',
+  ContainsNuts: 'contains-nuts',
+};
+
+function canTransitionOrder(from, to) {
+  return !!orderStatusTransitions[from]?.includes(to);
+}
+
+module.exports = { Role, OrderStatus, OutboxStatus, MenuCategory, DietaryTag, orderStatusTransitions, manualOrderStatuses, canTransitionOrder };
@@ -0,0 +1,80 @@
+const config = require('./config.js');
+const { OrderStatus } = require('./model/model.js');
+const { StatusCodeError } = require('./endpointHelper.js');
+
+// The cursor is opaque to clients. It holds the sort key of the last order on a page.
+function encodeCursor(order) {
+  return Buffer.from(JSON.stringify({ date: new Date(order.date).toISOString(), id: order.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { date, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (Number.isInteger(id) && !Number.isNaN(Date.parse(date))) {
+      return { date: new Date(date), id };
+    }
+  } catch {
+    // Reported below
+  }
+  throw new StatusCodeError('invalid cursor', 400);
+}
+
+/**
+ * Read the filters, sort order and page of an order listing from the query string
+ */
+function readOrderQuery(query) {
+  const readDate = (name) => {
+    if (query[name] === undefined) {
+      return null;
+    }
+    const date = new Date(query[name]);
+    if (Number.isNaN(date.getTime())) {
+      throw new StatusCodeError(`${name} must be a date`, 400);
+    }
+    return date;
+  };
+  const readId = (name) => {
+    if (query[name] === undefined) {
+      return null;
+    }
+    const id = Number(query[name]);
+    if (!Number.isInteger(id)) {
+      throw new StatusCodeError(`${name} must be a number`, 400);
+    }
+    return id;
+  };
+
+  // Page numbers are still accepted for older clients, but skip or repeat orders placed in between
+  if (query.page !== undefined && query.cursor) {
+    throw new StatusCodeError('pass either page or cursor', 400);
+  }
+  const sort = query.sort ?? 'desc';
+  if (!['asc', 'desc'].includes(sort)) {
+    throw new StatusCodeError('sort must be asc or desc', 400);
+  }
+  const status = query.status ?? null;
+  if (status !== null && !Object.values(OrderStatus).includes(status)) {
+    throw new StatusCodeError(`status must be one of ${Object.values(OrderStatus).join(', ')}`, 400);
+  }
+  return {
+    from: readDate('from'),
+    to: readDate('to'),
+    franchiseId: readId('franchiseId'),
+    storeId: readId('storeId'),
+    status,
+    sort,
+    limit: Math.min(Math.max(Math.floor(Number(query.limit)) || config.db.listPerPage, 1), 100),
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    page: query.page === undefined ? null : Math.max(Math.floor(Number(query.page)) || 1, 1),
+  };
+}
+
+/**
+ * Add the cursor for the page after this one, or null on the last page
+ */
+function withNextCursor(result) {
+  const last = result.orders[result.orders.length - 1];
+  return { ...result, nextCursor: result.more ? encodeCursor(last) : null };
+}
+
+module.exports = { readOrderQuery, withNextCursor };
@@ -0,0 +1,145 @@
+const config = require('./config.js');
+const { DB } = require('./database/database.js');
+const { OrderStatus } = require('./model/model.js');
+const factoryService = require('./factoryService.js');
+const eventStreams = require('./eventStreams.js');
+const logger = require('./logging/logger.js');
+
+// Times are in seconds. A message is retried with exponential backoff until it has been
+// attempted maxAttempts times, after which it is moved to the dead letters.
+const outboxConfig = {
+  pollIntervalSeconds: 5,
+  batchSize: 10,
+  leaseSeconds: 60,
+  maxAttempts: 8,
+  baseDelaySeconds: 5,
+  maxDelaySeconds: 60 * 60,
+  ...config.outbox,
+};
+
+// How each type of message is delivered, and what happens when it can't be
+const outboxHandlers = {
+  'factory-order': {
+    async deliver({ diner, order }) {
+      const response = await factoryService.sendOrder(diner, order);
+      if (!response.ok) {
+        throw new Error(`factory responded with ${response.status}`);
+      }
+      await updateOrderStatus(order.id, OrderStatus.SentToFactory);
+      return response.body;
+    },
+    async deadLetter({ order }) {
+      await updateOrderStatus(order.id, OrderStatus.Failed);
+    },
+  },
+  'factory-cancel': {
+    async deliver({ orderId, reason }) {
+      const response = await factoryService.cancelOrder(orderId, reason);
+      // The factory never got the order, so there is nothing to cancel
+      if (!response.ok && response.status !== 404) {
+        throw new Error(`factory responded with ${response.status}`);
+      }
+      return response.body;
+    },
+  },
+};
+
+// The message is already delivered, so a failed status change must not cause it to be sent again
+async function updateOrderStatus(orderId, status) {
+  try {
+    eventStreams.publishOrderStatus(await DB.updateOrderStatus(orderId, status));
+  } catch (error) {
+    logger.log('warn', 'outbox', { message: 'unable to update order status', orderId, status, exception: error.message });
+  }
+}
+
+/**
+ * Delivers messages written to the outbox table. Messages are written in the same transaction
+ * as the change that caused them, so they survive crashes and outages of the receiving service.
+ */
+class OutboxDispatcher {
+  /**
+   * @param {object} store - Outbox persistence, normally DB
+   * @param {object} handlers - deliver(payload) and optional deadLetter(payload) for each message type
+   * @param {object} options - Timing and retry settings, see outboxConfig
+   */
+  constructor(store, handlers = outboxHandlers, options = outboxConfig) {
+    this.store = store;
+    this.handlers = handlers;
+    this.options = options;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.dispatch(), this.options.pollIntervalSeconds * 1000);
+      // Polling alone shouldn't keep the process alive
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Deliver the messages that are due. Returns the number of messages attempted.
+   */
+  async dispatch() {
+    if (this.running) {
+      return 0;
+    }
+    this.running = true;
+    try {
+      const messages = await this.store.claimOutboxMessages(this.options.batchSize, this.options.leaseSeconds);
+      for (const message of messages) {
+        await this.deliver(message);
+      }
+      return messages.length;
+    } catch (error) {
+      logger.log('error', 'outbox', { message: 'unable to dispatch outbox', exception: error.message });
+      return 0;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Deliver one message right away instead of waiting for the next poll. Returns null if
+   * the message isn't due or another dispatcher is already delivering it.
+   */
+  async deliverNow(messageId) {
+    const [message] = await this.store.claimOutboxMessages(1, this.options.leaseSeconds, messageId);
+    return message ? this.deliver(message) : null;
+  }
+
+  async deliver(message) {
+    const handler = this.handlers[message.type];
+    try {
+      if (!handler) {
+        throw new Error(`unknown outbox message type ${message.type}`);
+      }
+      const result = await handler.deliver(message.payload);
+      await this.store.completeOutboxMessage(message.id);
+      return { delivered: true, dead: false, result };
+    } catch (error) {
+      const dead = message.attempts >= this.options.maxAttempts;
+      await this.store.failOutboxMessage(message.id, error.message, dead ? null : this.retryDelay(message.attempts));
+      logger.log(dead ? 'error' : 'warn', 'outbox', { message: dead ? 'outbox message dead' : 'outbox delivery failed', id: message.id, type: message.type, attempts: message.attempts, exception: error.message });
+      if (dead) {
+        await handler?.deadLetter?.(message.payload);
+      }
+      return { delivered: false, dead, error };
+    }
+  }
+
+  retryDelay(attempts) {
+    return Math.min(this.options.baseDelaySeconds * 2 ** (attempts - 1), this.options.maxDelaySeconds);
+  }
+}
+
+module.exports = new OutboxDispatcher(DB);
+module.exports.OutboxDispatcher = OutboxDispatcher;
+module.exports.outboxConfig = outboxConfig;
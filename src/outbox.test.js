@@ -0,0 +1,122 @@
+const { OutboxDispatcher } = require('./outbox.js');
+const logger = require('./logging/logger.js');
+
+const options = { pollIntervalSeconds: 5, batchSize: 10, leaseSeconds: 60, maxAttempts: 3, baseDelaySeconds: 5, maxDelaySeconds: 15 };
+
+// In memory stand in for the outbox table. Every message is always due.
+function createStore(messages) {
+  const rows = messages.map((message) => ({ status: 'pending', attempts: 0, ...message }));
+  return {
+    rows,
+    retries: [],
+    async claimOutboxMessages(limit, leaseSeconds, messageId = null) {
+      const due = rows.filter((row) => row.status === 'pending' && (messageId === null || row.id === messageId)).slice(0, limit);
+      due.forEach((row) => row.attempts++);
+      return due.map((row) => ({ ...row }));
+    },
+    async completeOutboxMessage(id) {
+      rows.find((row) => row.id === id).status = 'delivered';
+    },
+    async failOutboxMessage(id, error, retryInSeconds) {
+      const row = rows.find((row) => row.id === id);
+      row.lastError = error;
+      if (retryInSeconds === null) {
+        row.status = 'dead';
+      } else {
+        this.retries.push(retryInSeconds);
+      }
+    },
+  };
+}
+
+beforeEach(() => {
+  jest.spyOn(logger, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('delivers due messages', async () => {
+  const store = createStore([
+    { id: 1, type: 'test', payload: { n: 1 } },
+    { id: 2, type: 'test', payload: { n: 2 } },
+  ]);
+  const deliver = jest.fn(async (payload) => payload.n);
+  const dispatcher = new OutboxDispatcher(store, { test: { deliver } }, options);
+
+  expect(await dispatcher.dispatch()).toBe(2);
+  expect(deliver.mock.calls.map(([payload]) => payload.n)).toEqual([1, 2]);
+  expect(store.rows.map((row) => row.status)).toEqual(['delivered', 'delivered']);
+  expect(await dispatcher.dispatch()).toBe(0);
+});
+
+test('failed deliveries back off exponentially and then move to the dead letters', async () => {
+  const store = createStore([{ id: 1, type: 'test', payload: { n: 1 } }]);
+  const deadLetter = jest.fn();
+  const dispatcher = new OutboxDispatcher(store, { test: { deliver: () => Promise.reject(new Error('factory down')), deadLetter } }, options);
+
+  await dispatcher.dispatch();
+  await dispatcher.dispatch();
+  expect(store.rows[0].status).toBe('pending');
+  expect(deadLetter).not.toHaveBeenCalled();
+
+  await dispatcher.dispatch();
+  expect(store.retries).toEqual([5, 10]);
+  expect(store.rows[0]).toMatchObject({ status: 'dead', attempts: 3, lastError: 'factory down' });
+  expect(deadLetter).toHaveBeenCalledWith({ n: 1 });
+});
+
+test('retry delay is capped', () => {
+  const dispatcher = new OutboxDispatcher(createStore([]), {}, options);
+  expect([1, 2, 3, 4, 10].map((attempts) => dispatcher.retryDelay(attempts))).toEqual([5, 10, 15, 15, 15]);
+});
+
+test('deliver one message right away', async () => {
+  const store = createStore([
+    { id: 1, type: 'test', payload: { n: 1 } },
+    { id: 2, type: 'test', payload: { n: 2 } },
+  ]);
+  const dispatcher = new OutboxDispatcher(store, { test: { deliver: async (payload) => ({ jwt: `jwt${payload.n}` }) } }, options);
+
+  expect(await dispatcher.deliverNow(2)).toEqual({ delivered: true, dead: false, result: { jwt: 'jwt2' } });
+  expect(store.rows.map((row) => row.status)).toEqual(['pending', 'delivered']);
+
+  // Already delivered
+  expect(await dispatcher.deliverNow(2)).toBeNull();
+});
+
+test('unknown message types are retried like any other failure', async () => {
+  const store = createStore([{ id: 1, type: 'mystery', payload: {} }]);
+  const dispatcher = new OutboxDispatcher(store, {}, options);
+
+  const delivery = await dispatcher.deliverNow(1);
+  expect(delivery).toMatchObject({ delivered: false, dead: false });
+  expect(store.rows[0].lastError).toMatch(/unknown outbox message type/);
+});
+
+test('only one dispatch runs at a time', async () => {
+  let release;
+  const store = createStore([{ id: 1, type: 'test', payload: {} }]);
+  const dispatcher = new OutboxDispatcher(store, { test: { deliver: () => new Promise((resolve) => (release = resolve)) } }, options);
+
+  const first = dispatcher.dispatch();
+  expect(await dispatcher.dispatch()).toBe(0);
+  await new Promise((resolve) => setImmediate(resolve));
+  release();
+  expect(await first).toBe(1);
+});
+
+test('start polls without keeping the process alive', () => {
+  jest.useFakeTimers();
+  const dispatcher = new OutboxDispatcher(createStore([]), {}, options);
+  const dispatch = jest.spyOn(dispatcher, 'dispatch').mockResolvedValue(0);
+
+  dispatcher.start();
+  expect(dispatcher.timer.hasRef()).toBe(false);
+  jest.advanceTimersByTime(10000);
+  expect(dispatch).toHaveBeenCalledTimes(2);
+
+  dispatcher.stop();
+  jest.useRealTimers();
+});
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('./config.js');
+const { DB } = require('./database/database.js');
+const { StatusCodeError } = require('./endpointHelper.js');
+const factoryService = require('./factoryService.js');
+
+// publicKey is an optional PEM that replaces the factory's JWKS, for example when the
+// factory can't be reached from the service
+const pizzaConfig = {
+  jwksPath: '/.well-known/jwks.json',
+  jwksCacheSeconds: 60 * 60,
+  publicKey: null,
+  ...config.factory?.pizza,
+};
+
+const algorithms = ['RS256', 'ES256'];
+
+function invalid(reason, message) {
+  return { valid: false, reason, message };
+}
+
+function sameItems(orderItems, pizzaItems) {
+  const normalize = (items) => items.map((item) => `${item.menuId}:${Number(item.price)}`).sort();
+  return Array.isArray(pizzaItems) && JSON.stringify(normalize(orderItems)) === JSON.stringify(normalize(pizzaItems));
+}
+
+/**
+ * Checks that a pizza JWT was signed by the factory and describes an order we placed. The
+ * factory's public keys are cached and fetched again when a token uses a key we haven't seen.
+ */
+class PizzaVerifier {
+  /**
+   * @param {object} factory - Client used to fetch the JWKS, normally factoryService
+   * @param {object} store - Order lookup, normally DB
+   * @param {object} options - Key settings, see pizzaConfig
+   * @param {function} now - Clock in milliseconds, replaceable for testing
+   */
+  constructor(factory, store, options = pizzaConfig, now = Date.now) {
+    this.factory = factory;
+    this.store = store;
+    this.options = options;
+    this.now = now;
+    this.keys = null;
+    this.loaded = 0;
+  }
+
+  async getKey(kid) {
+    if (this.options.publicKey) {
+      return crypto.createPublicKey(this.options.publicKey);
+    }
+
+    const expired = this.now() - this.loaded > this.options.jwksCacheSeconds * 1000;
+    if (!this.keys || expired || !this.keys.has(kid)) {
+      // Don't let tokens with made up key ids hammer the factory
+      if (this.keys && !expired && this.now() - this.loaded < 60 * 1000) {
+        return null;
+      }
+      await this.loadKeys();
+    }
+    return this.keys.get(kid) ?? null;
+  }
+
+  async loadKeys() {
+    let response;
+    try {
+      response = await this.factory.sendRequest(this.options.jwksPath, 'GET');
+    } catch (error) {
+      throw new StatusCodeError(`unable to get the factory keys: ${error.message}`, 503);
+    }
+    if (!response.ok || !Array.isArray(response.body.keys)) {
+      throw new StatusCodeError(`unable to get the factory keys: factory responded with ${response.status}`, 503);
+    }
+
+    this.keys = new Map();
+    for (const jwk of response.body.keys) {
+      try {
+        this.keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch {
+        // Skip keys we can't use rather than failing every verification
+      }
+    }
+    this.loaded = this.now();
+  }
+
+  /**
+   * Returns { valid: true, pizza, order } for an authentic pizza, otherwise { valid: false, reason, message }
+   */
+  async verify(token) {
+    const decoded = typeof token === 'string' ? jwt.decode(token, { complete: true }) : null;
+    if (!decoded) {
+      return invalid('malformed', 'pizza is not a JWT');
+    }
+
+    const key = await this.getKey(decoded.header.kid);
+    if (!key) {
+      return invalid('unknown-key', `pizza was signed with unknown key ${decoded.header.kid}`);
+    }
+
+    let pizza;
+    try {
+      pizza = jwt.verify(token, key, { algorithms });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return invalid('expired', `pizza expired at ${error.expiredAt.toISOString()}`);
+      }
+      return invalid('invalid-signature', `pizza was not signed by the factory: ${error.message}`);
+    }
+
+    const orderId = pizza.order?.id;
+    if (!Number.isInteger(orderId)) {
+      return invalid('unknown-order', 'pizza does not reference an order');
+    }
+    let order;
+    try {
+      order = await this.store.getOrder(orderId);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return invalid('unknown-order', `order ${orderId} does not exist`);
+      }
+      throw error;
+    }
+
+    // Deleted accounts leave their orders with diner 0
+    const checks = {
+      diner: order.dinerId === 0 || pizza.diner?.id === order.dinerId,
+      franchiseId: pizza.order.franchiseId === order.franchiseId,
+      storeId: pizza.order.storeId === order.storeId,
+      items: sameItems(order.items, pizza.order.items),
+    };
+    const mismatches = Object.keys(checks).filter((field) => !checks[field]);
+    if (mismatches.length > 0) {
+      return invalid('order-mismatch', `pizza does not match order ${orderId}: ${mismatches.join(', ')}`);
+    }
+
+    return { valid: true, pizza, order };
+  }
+}
+
+module.exports = new PizzaVerifier(factoryService, DB);
+module.exports.PizzaVerifier = PizzaVerifier;
+module.exports.pizzaConfig = pizzaConfig;
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PizzaVerifier } = require('./pizzaVerifier.js');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'factory-1', alg: 'RS256', use: 'sig' };
+const options = { jwksPath: '/.well-known/jwks.json', jwksCacheSeconds: 3600, publicKey: null };
+
+const order = { id: 12, dinerId: 4, franchiseId: 1, storeId: 2, items: [{ id: 1, menuId: 1, description: 'Veggie', price: 0.0038 }] };
+const pizza = { vendor: { id: 'jwt' }, diner: { id: 4, name: 'pizza diner' }, order: { id: 12, franchiseId: 1, storeId: 2, items: [{ menuId: 1, description: 'Veggie', price: 0.0038 }] } };
+
+function signPizza(payload = pizza, signOptions = {}) {
+  return jwt.sign(payload, privateKey, { algorithm: 'RS256', keyid: 'factory-1', ...signOptions });
+}
+
+function createFactory(keys = [jwk]) {
+  return { sendRequest: jest.fn(async () => ({ ok: true, status: 200, body: { keys } })) };
+}
+
+const store = {
+  async getOrder(orderId) {
+    if (orderId !== order.id) {
+      throw Object.assign(new Error('unknown order'), { statusCode: 404 });
+    }
+    return { ...order };
+  },
+};
+
+test('authentic pizza', async () => {
+  const factory = createFactory();
+  const verifier = new PizzaVerifier(factory, store, options);
+
+  const result = await verifier.verify(signPizza());
+  expect(result).toMatchObject({ valid: true, pizza: { order: { id: 12 } }, order: { id: 12, dinerId: 4 } });
+  expect(factory.sendRequest).toHaveBeenCalledWith('/.well-known/jwks.json', 'GET');
+
+  // The keys are cached
+  await verifier.verify(signPizza());
+  expect(factory.sendRequest).toHaveBeenCalledTimes(1);
+});
+
+test.each([
+  ['malformed', 'not a jwt'],
+  ['unknown-key', () => signPizza(pizza, { keyid: 'factory-2' })],
+  ['invalid-signature', () => jwt.sign(pizza, crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey, { algorithm: 'RS256', keyid: 'factory-1' })],
+  ['expired', () => signPizza({ ...pizza, exp: Math.floor(Date.now() / 1000) - 60 })],
+  ['unknown-order', () => signPizza({ ...pizza, order: { ...pizza.order, id: 13 } })],
+  ['order-mismatch', () => signPizza({ ...pizza, order: { ...pizza.order, items: [{ menuId: 1, price: 0 }] } })],
+])('%s pizza', async (reason, token) => {
+  const verifier = new PizzaVerifier(createFactory(), store, options);
+  const result = await verifier.verify(typeof token === 'function' ? token() : token);
+  expect(result).toMatchObject({ valid: false, reason });
+  expect(result.message).toBeTruthy();
+});
+
+test('mismatch names the fields that differ', async () => {
+  const verifier = new PizzaVerifier(createFactory(), store, options);
+  const result = await verifier.verify(signPizza({ ...pizza, diner: { id: 5 }, order: { ...pizza.order, storeId: 3 } }));
+  expect(result.message).toBe('pizza does not match order 12: diner, storeId');
+});
+
+test('new factory keys are fetched when a pizza uses them', async () => {
+  let now = 0;
+  const factory = createFactory([]);
+  const verifier = new PizzaVerifier(factory, store, options, () => now);
+
+  expect((await verifier.verify(signPizza())).reason).toBe('unknown-key');
+  // Unknown keys don't cause a fetch for every request
+  expect((await verifier.verify(signPizza())).reason).toBe('unknown-key');
+  expect(factory.sendRequest).toHaveBeenCalledTimes(1);
+
+  factory.sendRequest.mockResolvedValue({ ok: true, status: 200, body: { keys: [jwk] } });
+  now += 60 * 1000;
+  expect((await verifier.verify(signPizza())).valid).toBe(true);
+  expect(factory.sendRequest).toHaveBeenCalledTimes(2);
+});
+
+test('configured public key replaces the jwks', async () => {
+  const factory = createFactory();
+  const verifier = new PizzaVerifier(factory, store, { ...options, publicKey: publicKey.export({ type: 'spki', format: 'pem' }) });
+
+  expect((await verifier.verify(signPizza())).valid).toBe(true);
+  expect(factory.sendRequest).not.toHaveBeenCalled();
+});
+
+test('unreachable factory', async () => {
+  const factory = { sendRequest: jest.fn().mockRejectedValue(new Error('pizza factory is unavailable')) };
+  const verifier = new PizzaVerifier(factory, store, options);
+
+  await expect(verifier.verify(signPizza())).rejects.toMatchObject({ statusCode: 503 });
+});
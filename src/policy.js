@@ -0,0 +1,95 @@
+const { Role } = require('./model/model.js');
+const { StatusCodeError, asyncHandler } = require('./endpointHelper.js');
+
+function hasRole(user, role) {
+  return !!user.roles?.some((r) => r.role === role);
+}
+
+function isAdmin(user) {
+  return hasRole(user, Role.Admin);
+}
+
+function isFranchiseAdmin(user, franchise) {
+  return !!franchise?.admins?.some((admin) => admin.id === user.id);
+}
+
+function isSelfOrAdmin(user, target) {
+  return user.id === target?.id || isAdmin(user);
+}
+
+// Every action a route can perform on a resource, the rule that decides whether the user may
+// perform it, and the message returned when they may not. Public actions don't need a login.
+const policies = {
+  'menu:read': { public: true, allow: () => true },
+  'menu:create': { allow: isAdmin, message: 'unable to add menu item' },
+  'menu:manage': { allow: isAdmin, message: 'unable to manage the menu' },
+
+  'franchise:list': { public: true, allow: () => true },
+  'franchise:listRevenue': { allow: isAdmin },
+  'franchise:listForUser': { allow: isSelfOrAdmin, message: 'unable to list franchises' },
+  'franchise:create': { allow: isAdmin, message: 'unable to create a franchise' },
+  'franchise:delete': { allow: isAdmin, message: 'unable to delete a franchise' },
+
+  'store:create': { allow: (user, franchise) => isAdmin(user) || isFranchiseAdmin(user, franchise), message: 'unable to create a store' },
+  'store:delete': { allow: (user, franchise) => isAdmin(user) || isFranchiseAdmin(user, franchise), message: 'unable to delete a store' },
+  'store:manageMenu': { allow: (user, franchise) => isAdmin(user) || isFranchiseAdmin(user, franchise), message: 'unable to change the store menu' },
+  'store:listOrders': { allow: (user, franchise) => isAdmin(user) || isFranchiseAdmin(user, franchise), message: 'unable to list store orders' },
+
+  'order:list': { allow: () => true },
+  'order:create': { allow: (user, diner) => !!diner?.verified, message: 'email address must be verified before ordering' },
+  'order:verify': { allow: () => true },
+  'order:read': { allow: (user, { order, franchise } = {}) => user.id === order?.dinerId || isAdmin(user) || isFranchiseAdmin(user, franchise), message: 'unable to read order' },
+  'order:cancel': { allow: (user, { order, franchise } = {}) => user.id === order?.dinerId || isAdmin(user) || isFranchiseAdmin(user, franchise), message: 'unable to cancel order' },
+  'order:refund': { allow: (user, { franchise } = {}) => isAdmin(user) || isFranchiseAdmin(user, franchise), message: 'unable to refund order' },
+  'order:updateStatus': { allow: (user, { franchise } = {}) => isAdmin(user) || isFranchiseAdmin(user, franchise), message: 'unable to update order status' },
+
+  'user:update': { allow: isSelfOrAdmin, message: 'unauthorized' },
+  'user:logout': { allow: isAdmin, message: 'unable to revoke sessions' },
+  'user:export': { allow: isSelfOrAdmin, message: 'unable to export user data' },
+  'user:delete': { allow: isSelfOrAdmin, message: 'unable to delete user' },
+  'user:manage': { allow: isAdmin, message: 'unable to manage users' },
+
+  'key:manage': { allow: isAdmin, message: 'unable to manage signing keys' },
+  'outbox:manage': { allow: isAdmin, message: 'unable to manage the outbox' },
+};
+
+function getPolicy(action) {
+  const policy = policies[action];
+  if (!policy) {
+    throw new Error(`unknown action ${action}`);
+  }
+  return policy;
+}
+
+/**
+ * Decide if a user, or null for an anonymous caller, may perform an action on a resource
+ */
+function can(user, action, resource) {
+  const policy = getPolicy(action);
+  if (!user) {
+    return !!policy.public;
+  }
+  return !!policy.allow(user, resource);
+}
+
+/**
+ * Middleware that rejects the request unless the user may perform the action. The optional
+ * resourceLoader(req) loads the resource the rule needs, which is then available as req.resource.
+ */
+function authorize(action, resourceLoader = () => undefined) {
+  const policy = getPolicy(action);
+  return asyncHandler(async (req, res, next) => {
+    if (!req.user && !policy.public) {
+      throw new StatusCodeError('unauthorized', 401);
+    }
+
+    const resource = await resourceLoader(req);
+    if (!can(req.user, action, resource)) {
+      throw new StatusCodeError(policy.message ?? 'unauthorized', 403);
+    }
+    req.resource = resource;
+    next();
+  });
+}
+
+module.exports = { policies, can, authorize };
@@ -0,0 +1,89 @@
+const { Role } = require('./model/model.js');
+const { policies, can, authorize } = require('./policy.js');
+
+const users = {
+  anonymous: null,
+  diner: { id: 1, roles: [{ role: Role.Diner }] },
+  franchisee: { id: 2, roles: [{ role: Role.Diner }, { role: Role.Franchisee, objectId: 1 }] },
+  otherFranchisee: { id: 3, roles: [{ role: Role.Diner }, { role: Role.Franchisee, objectId: 2 }] },
+  admin: { id: 4, roles: [{ role: Role.Admin }] },
+};
+
+const franchise = { id: 1, admins: [{ id: 2 }] };
+
+// Expected result for each role, in the order of the users above
+const roles = Object.keys(users);
+const matrix = [
+  ['menu:read', undefined, [true, true, true, true, true]],
+  ['menu:create', undefined, [false, false, false, false, true]],
+  ['menu:manage', undefined, [false, false, false, false, true]],
+  ['franchise:list', undefined, [true, true, true, true, true]],
+  ['franchise:listRevenue', undefined, [false, false, false, false, true]],
+  ['franchise:listForUser', { id: 2 }, [false, false, true, false, true]],
+  ['franchise:create', undefined, [false, false, false, false, true]],
+  ['franchise:delete', franchise, [false, false, false, false, true]],
+  ['store:create', franchise, [false, false, true, false, true]],
+  ['store:delete', franchise, [false, false, true, false, true]],
+  ['store:manageMenu', franchise, [false, false, true, false, true]],
+  ['store:listOrders', franchise, [false, false, true, false, true]],
+  ['order:list', undefined, [false, true, true, true, true]],
+  ['order:create', { verified: true }, [false, true, true, true, true]],
+  ['order:create', { verified: false }, [false, false, false, false, false]],
+  ['order:verify', undefined, [false, true, true, true, true]],
+  ['order:read', { order: { dinerId: 1 }, franchise }, [false, true, true, false, true]],
+  ['order:cancel', { order: { dinerId: 1 }, franchise }, [false, true, true, false, true]],
+  ['order:refund', { order: { dinerId: 1 }, franchise }, [false, false, true, false, true]],
+  ['order:updateStatus', { order: { dinerId: 1 }, franchise }, [false, false, true, false, true]],
+  ['user:update', { id: 1 }, [false, true, false, false, true]],
+  ['user:logout', { id: 1 }, [false, false, false, false, true]],
+  ['user:export', { id: 1 }, [false, true, false, false, true]],
+  ['user:delete', { id: 1 }, [false, true, false, false, true]],
+  ['user:manage', undefined, [false, false, false, false, true]],
+  ['key:manage', undefined, [false, false, false, false, true]],
+  ['outbox:manage', undefined, [false, false, false, false, true]],
+];
+
+const cases = matrix.flatMap(([action, resource, expected]) => roles.map((role, i) => [action, role, resource, expected[i]]));
+
+test.each(cases)('%s as %s on %j is %s', (action, role, resource, expected) => {
+  expect(can(users[role], action, resource)).toBe(expected);
+});
+
+test('every action is covered by the matrix', () => {
+  const covered = new Set(matrix.map(([action]) => action));
+  expect(Object.keys(policies).filter((action) => !covered.has(action))).toEqual([]);
+});
+
+test('unknown action', () => {
+  expect(() => can(users.admin, 'menu:eat')).toThrow(/unknown action/);
+  expect(() => authorize('menu:eat')).toThrow(/unknown action/);
+});
+
+async function runAuthorize(middleware, user) {
+  const req = { user, params: { franchiseId: '1' } };
+  const next = jest.fn();
+  await middleware(req, {}, next);
+  return { req, next };
+}
+
+test('authorize rejects anonymous users with 401', async () => {
+  const { next } = await runAuthorize(authorize('menu:create'), null);
+  expect(next.mock.calls[0][0].statusCode).toBe(401);
+});
+
+test('authorize rejects forbidden users with 403 and the action message', async () => {
+  const { next } = await runAuthorize(authorize('menu:create'), users.diner);
+  expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 403, message: 'unable to add menu item' });
+});
+
+test('authorize loads the resource', async () => {
+  const loader = jest.fn(async (req) => ({ ...franchise, id: Number(req.params.franchiseId) }));
+  const { req, next } = await runAuthorize(authorize('store:create', loader), users.franchisee);
+  expect(next).toHaveBeenCalledWith();
+  expect(req.resource).toEqual(franchise);
+});
+
+test('authorize allows anonymous users on public actions', async () => {
+  const { next } = await runAuthorize(authorize('menu:read'), undefined);
+  expect(next).toHaveBeenCalledWith();
+});
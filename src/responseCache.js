@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const config = require('./config.js');
+
+// Entries are also dropped after maxAgeSeconds so that servers pick up changes made through
+// another server, which can only invalidate its own cache
+const cacheConfig = {
+  maxAgeSeconds: 60,
+  maxEntries: 500,
+  ...config.cache,
+};
+
+/**
+ * In-process cache of serialized responses for hot read paths. Entries are grouped by tag, such
+ * as 'menu', and every entry with a tag is dropped when the data behind it changes. Each entry
+ * carries an ETag and the time its tag last changed so that clients can make conditional requests.
+ */
+class ResponseCache {
+  /**
+   * @param {object} options - Lifetime and size settings, see cacheConfig
+   * @param {function} now - Clock in milliseconds, replaceable for testing
+   */
+  constructor(options = cacheConfig, now = Date.now) {
+    this.options = options;
+    this.now = now;
+    this.entries = new Map();
+    this.changed = new Map();
+    this.generations = new Map();
+  }
+
+  /**
+   * Returns the cached { body, etag, lastModified } for tag and variant, calling load() to fill it
+   */
+  async get(tag, variant, load) {
+    const key = `${tag}:${variant}`;
+    const cached = this.entries.get(key);
+    if (cached && cached.expires > this.now()) {
+      return cached;
+    }
+
+    const generation = this.generations.get(tag) ?? 0;
+    if (!this.changed.has(tag)) {
+      this.changed.set(tag, this.now());
+    }
+    const body = JSON.stringify(await load());
+    const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+    // An expired entry that reloads differently was changed through another server
+    if (cached && cached.etag !== etag) {
+      this.changed.set(tag, this.now());
+    }
+    const entry = {
+      body,
+      etag,
+      // HTTP dates only have whole seconds
+      lastModified: new Date(Math.floor(this.changed.get(tag) / 1000) * 1000),
+      expires: this.now() + this.options.maxAgeSeconds * 1000,
+    };
+
+    // Don't keep a result that was loaded while the data changed
+    if ((this.generations.get(tag) ?? 0) === generation) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      if (this.entries.size > this.options.maxEntries) {
+        this.entries.delete(this.entries.keys().next().value);
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Drop every entry for the tags because the data behind them changed
+   */
+  invalidate(...tags) {
+    for (const tag of tags) {
+      this.generations.set(tag, (this.generations.get(tag) ?? 0) + 1);
+      this.changed.set(tag, this.now());
+      for (const key of this.entries.keys()) {
+        if (key.startsWith(`${tag}:`)) {
+          this.entries.delete(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Send a cached entry, or 304 Not Modified if the client already has it
+   */
+  send(req, res, entry) {
+    res.set({ ETag: entry.etag, 'Last-Modified': entry.lastModified.toUTCString(), 'Cache-Control': 'no-cache' });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.type('json').send(entry.body);
+  }
+}
+
+module.exports = new ResponseCache();
+module.exports.ResponseCache = ResponseCache;
+module.exports.cacheConfig = cacheConfig;
@@ -0,0 +1,100 @@
+const { ResponseCache } = require('./responseCache.js');
+
+const options = { maxAgeSeconds: 60, maxEntries: 3 };
+
+let time;
+let cache;
+
+beforeEach(() => {
+  time = Date.parse('2024-06-05T05:14:40.500Z');
+  cache = new ResponseCache(options, () => time);
+});
+
+test('loads once and serves the cached body', async () => {
+  const load = jest.fn().mockResolvedValue([{ id: 1, title: 'Veggie' }]);
+  const first = await cache.get('menu', 'all', load);
+  const second = await cache.get('menu', 'all', load);
+
+  expect(load).toHaveBeenCalledTimes(1);
+  expect(second).toBe(first);
+  expect(first.body).toBe('[{"id":1,"title":"Veggie"}]');
+  expect(first.etag).toMatch(/^".+"$/);
+  expect(first.lastModified.toISOString()).toBe('2024-06-05T05:14:40.000Z');
+});
+
+test('invalidating a tag drops all of its variants and moves Last-Modified', async () => {
+  let menu = [{ id: 1 }];
+  const load = jest.fn(async () => menu);
+  const franchises = jest.fn().mockResolvedValue([]);
+  const before = await cache.get('menu', 'all', load);
+  await cache.get('menu', 'drinks', load);
+  await cache.get('franchises', 'public', franchises);
+
+  time += 5000;
+  menu = [{ id: 1 }, { id: 2 }];
+  cache.invalidate('menu');
+  const after = await cache.get('menu', 'all', load);
+  await cache.get('franchises', 'public', franchises);
+
+  expect(load).toHaveBeenCalledTimes(3);
+  expect(franchises).toHaveBeenCalledTimes(1);
+  expect(after.etag).not.toBe(before.etag);
+  expect(after.lastModified.toISOString()).toBe('2024-06-05T05:14:45.000Z');
+});
+
+test('entries expire after maxAgeSeconds', async () => {
+  const load = jest.fn().mockResolvedValue([]);
+  const first = await cache.get('menu', 'all', load);
+  time += 61 * 1000;
+  const second = await cache.get('menu', 'all', load);
+
+  expect(load).toHaveBeenCalledTimes(2);
+  // Nothing changed, so clients can keep their copy
+  expect(second.etag).toBe(first.etag);
+  expect(second.lastModified).toEqual(first.lastModified);
+});
+
+test('entries that reload differently move Last-Modified', async () => {
+  let menu = [{ id: 1 }];
+  const first = await cache.get('menu', 'all', async () => menu);
+
+  // Changed through another server, so this cache was never invalidated
+  time += 61 * 1000;
+  menu = [{ id: 1 }, { id: 2 }];
+  const second = await cache.get('menu', 'all', async () => menu);
+
+  expect(second.etag).not.toBe(first.etag);
+  expect(second.lastModified.toISOString()).toBe('2024-06-05T05:15:41.000Z');
+  expect(second.lastModified.getTime()).toBeGreaterThan(first.lastModified.getTime());
+});
+
+test('results loaded while the data changed are not kept', async () => {
+  const load = jest.fn(async () => {
+    cache.invalidate('menu');
+    return [];
+  });
+  await cache.get('menu', 'all', load);
+  await cache.get('menu', 'all', jest.fn().mockResolvedValue([]));
+  expect(cache.entries.size).toBe(1);
+  expect(load).toHaveBeenCalledTimes(1);
+});
+
+test('keeps at most maxEntries', async () => {
+  for (const search of ['a', 'b', 'c', 'd']) {
+    await cache.get('menu', search, async () => [search]);
+  }
+  expect([...cache.entries.keys()]).toEqual(['menu:b', 'menu:c', 'menu:d']);
+});
+
+test('answers 304 when the client has the entry', async () => {
+  const entry = await cache.get('menu', 'all', async () => []);
+  const res = { set: jest.fn(), status: jest.fn().mockReturnThis(), end: jest.fn(), type: jest.fn().mockReturnThis(), send: jest.fn() };
+
+  cache.send({ fresh: true }, res, entry);
+  expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ ETag: entry.etag, 'Last-Modified': 'Wed, 05 Jun 2024 05:14:40 GMT' }));
+  expect(res.status).toHaveBeenCalledWith(304);
+  expect(res.send).not.toHaveBeenCalled();
+
+  cache.send({ fresh: false }, res, entry);
+  expect(res.send).toHaveBeenCalledWith('[]');
+});
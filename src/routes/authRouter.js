@@ -1,10 +1,35 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const config = require('../config.js');
-const { asyncHandler } = require('../endpointHelper.js');
+const { asyncHandler, StatusCodeError } = require('../endpointHelper.js');
 const { DB, Role } = require('../database/database.js');
+const mailer = require('../mail/mailer.js');
+const logger = require('../logging/logger.js');
+const { LoginThrottle, throttleConfig } = require('../loginThrottle.js');
+const { trackLockout } = require('../metrics.js');
+const totp = require('../totp.js');
+const { authorize } = require('../policy.js');
+const keyring = require('../keyring.js');
+const eventStreams = require('../eventStreams.js');
 // const { track } = require('../metrics.js');
 
+// Token lifetimes in seconds
+const authConfig = {
+  accessTokenExpiresIn: 15 * 60,
+  refreshTokenExpiresIn: 30 * 24 * 60 * 60,
+  passwordResetExpiresIn: 60 * 60,
+  emailVerificationExpiresIn: 24 * 60 * 60,
+  twoFactorChallengeExpiresIn: 5 * 60,
+  twoFactorIssuer: 'JWT Pizza',
+  twoFactorRequiredRoles: [Role.Admin],
+  ...config.auth,
+};
+
+const loginThrottle = new LoginThrottle(throttleConfig, (kind, key, lockoutSeconds) => {
+  logger.log('warn', 'auth', { message: 'login locked out', kind, key, lockoutSeconds });
+  trackLockout(kind);
+});
+
 const authRouter = express.Router();
 
 authRouter.endpoints = [
@@ -13,14 +38,52 @@ authRouter.endpoints = [
     path: '/api/auth',
     description: 'Register a new user',
     example: `curl -X POST localhost:3000/api/auth -d '{"name":"pizza diner", "email":"d@jwt.com", "password":"diner"}' -H 'Content-Type: application/json'`,
-    response: { user: { id: 2, name: 'pizza diner', email: 'd@jwt.com', roles: [{ role: 'diner' }] }, token: 'tttttt' },
+    response: { user: { id: 2, name: 'pizza diner', email: 'd@jwt.com', verified: false, roles: [{ role: 'diner' }] }, token: 'tttttt', refreshToken: 'rrrrrr' },
   },
   {
     method: 'PUT',
     path: '/api/auth',
-    description: 'Login existing user',
+    description: 'Login existing user. Users with two factor authentication get a challenge to complete with /api/auth/2fa/verify instead of a token',
     example: `curl -X PUT localhost:3000/api/auth -d '{"email":"a@jwt.com", "password":"admin"}' -H 'Content-Type: application/json'`,
-    response: { user: { id: 1, name: '常用名字', email: 'a@jwt.com', roles: [{ role: 'admin' }] }, token: 'tttttt' },
+    response: { user: { id: 1, name: '常用名字', email: 'a@jwt.com', roles: [{ role: 'admin' }] }, token: 'tttttt', refreshToken: 'rrrrrr' },
+  },
+  {
+    method: 'POST',
+    path: '/api/auth/2fa/verify',
+    description: 'Complete a login challenge with an authenticator code or a recovery code',
+    example: `curl -X POST localhost:3000/api/auth/2fa/verify -d '{"challenge":"cccccc", "code":"123456"}' -H 'Content-Type: application/json'`,
+    response: { user: { id: 1, name: '常用名字', email: 'a@jwt.com', roles: [{ role: 'admin' }] }, token: 'tttttt', refreshToken: 'rrrrrr' },
+  },
+  {
+    method: 'POST',
+    path: '/api/auth/2fa/setup',
+    requiresAuth: true,
+    description: 'Start two factor enrollment. Users who must enroll before logging in pass their login challenge instead of a token',
+    example: `curl -X POST localhost:3000/api/auth/2fa/setup -H 'Authorization: Bearer tttttt'`,
+    response: { secret: 'JBSWY3DPEHPK3PXP', otpauthUrl: 'otpauth://totp/JWT%20Pizza%3Aa%40jwt.com?secret=JBSWY3DPEHPK3PXP&issuer=JWT%20Pizza&algorithm=SHA1&digits=6&period=30' },
+  },
+  {
+    method: 'POST',
+    path: '/api/auth/2fa/enable',
+    requiresAuth: true,
+    description: 'Confirm two factor enrollment with a code from the authenticator. Returns single use recovery codes, and a token when enrolling with a login challenge',
+    example: `curl -X POST localhost:3000/api/auth/2fa/enable -d '{"code":"123456"}' -H 'Content-Type: application/json' -H 'Authorization: Bearer tttttt'`,
+    response: { recoveryCodes: ['ABCD-EFGH', 'IJKL-MNOP'] },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/auth/2fa',
+    requiresAuth: true,
+    description: 'Turn off two factor authentication. Not allowed for roles that require it',
+    example: `curl -X DELETE localhost:3000/api/auth/2fa -d '{"code":"123456"}' -H 'Content-Type: application/json' -H 'Authorization: Bearer tttttt'`,
+    response: { message: 'two factor authentication disabled' },
+  },
+  {
+    method: 'POST',
+    path: '/api/auth/refresh',
+    description: 'Exchange a refresh token for a new access token and refresh token',
+    example: `curl -X POST localhost:3000/api/auth/refresh -d '{"refreshToken":"rrrrrr"}' -H 'Content-Type: application/json'`,
+    response: { user: { id: 1, name: '常用名字', email: 'a@jwt.com', roles: [{ role: 'admin' }] }, token: 'tttttt', refreshToken: 'rrrrrr' },
   },
   {
     method: 'PUT',
@@ -38,16 +101,111 @@ authRouter.endpoints = [
     example: `curl -X DELETE localhost:3000/api/auth -H 'Authorization: Bearer tttttt'`,
     response: { message: 'logout successful' },
   },
+  {
+    method: 'POST',
+    path: '/api/auth/verify',
+    description: 'Confirm an email address using an emailed verification token',
+    example: `curl -X POST localhost:3000/api/auth/verify -d '{"token":"xxxxxx"}' -H 'Content-Type: application/json'`,
+    response: { message: 'email verified' },
+  },
+  {
+    method: 'POST',
+    path: '/api/auth/verify/resend',
+    requiresAuth: true,
+    description: 'Send a new email verification link to the authenticated user',
+    example: `curl -X POST localhost:3000/api/auth/verify/resend -H 'Authorization: Bearer tttttt'`,
+    response: { message: 'verification email sent' },
+  },
+  {
+    method: 'POST',
+    path: '/api/auth/password/forgot',
+    description: 'Email a password reset link to a user',
+    example: `curl -X POST localhost:3000/api/auth/password/forgot -d '{"email":"d@jwt.com"}' -H 'Content-Type: application/json'`,
+    response: { message: 'if the email is registered a reset link has been sent' },
+  },
+  {
+    method: 'POST',
+    path: '/api/auth/password/reset',
+    description: 'Choose a new password using an emailed reset token',
+    example: `curl -X POST localhost:3000/api/auth/password/reset -d '{"token":"xxxxxx", "password":"newpassword"}' -H 'Content-Type: application/json'`,
+    response: { message: 'password reset' },
+  },
+  {
+    method: 'GET',
+    path: '/api/auth/jwks',
+    description: 'Public keys for verifying tokens signed with an asymmetric key, as a JSON Web Key Set',
+    example: `curl localhost:3000/api/auth/jwks`,
+    response: { keys: [{ kty: 'EC', crv: 'P-256', x: 'xxxxxx', y: 'yyyyyy', kid: '5b0c9e5e-8a3f-4d4a-9a55-6f1c1f7f2f7e', alg: 'ES256', use: 'sig' }] },
+  },
+  {
+    method: 'GET',
+    path: '/api/auth/keys',
+    requiresAuth: true,
+    description: 'List token signing keys (admin only)',
+    example: `curl localhost:3000/api/auth/keys -H 'Authorization: Bearer tttttt'`,
+    response: [{ kid: 'legacy', alg: 'HS256', status: 'verify', created: '2024-06-05T05:14:40.000Z' }, { kid: '5b0c9e5e-8a3f-4d4a-9a55-6f1c1f7f2f7e', alg: 'ES256', status: 'active', created: '2024-06-06T05:14:40.000Z' }],
+  },
+  {
+    method: 'POST',
+    path: '/api/auth/keys',
+    requiresAuth: true,
+    description: 'Rotate to a new signing key. alg is HS256, RS256 or ES256. Older keys keep verifying until retired (admin only)',
+    example: `curl -X POST localhost:3000/api/auth/keys -d '{"alg":"ES256"}' -H 'Content-Type: application/json' -H 'Authorization: Bearer tttttt'`,
+    response: { kid: '5b0c9e5e-8a3f-4d4a-9a55-6f1c1f7f2f7e', alg: 'ES256', status: 'active', created: '2024-06-06T05:14:40.000Z' },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/auth/keys/:kid',
+    requiresAuth: true,
+    description: 'Retire a signing key so tokens signed with it are no longer accepted (admin only)',
+    example: `curl -X DELETE localhost:3000/api/auth/keys/legacy -H 'Authorization: Bearer tttttt'`,
+    response: { message: 'signing key retired' },
+  },
+  {
+    method: 'GET',
+    path: '/api/auth/session',
+    requiresAuth: true,
+    description: `List the authenticated user's sessions`,
+    example: `curl localhost:3000/api/auth/session -H 'Authorization: Bearer tttttt'`,
+    response: [{ id: '2c9f6a0e-4d1b-4f57-9a43-2d0f3f1c7b11', created: '2024-06-05T05:14:40.000Z', lastSeen: '2024-06-05T05:20:12.000Z', userAgent: 'curl/8.4.0', ip: '::1', current: true }],
+  },
+  {
+    method: 'DELETE',
+    path: '/api/auth/session/:sessionId',
+    requiresAuth: true,
+    description: `Revoke one of the authenticated user's sessions`,
+    example: `curl -X DELETE localhost:3000/api/auth/session/2c9f6a0e-4d1b-4f57-9a43-2d0f3f1c7b11 -H 'Authorization: Bearer tttttt'`,
+    response: { message: 'session revoked' },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/auth/session',
+    requiresAuth: true,
+    description: `Revoke all of the authenticated user's sessions`,
+    example: `curl -X DELETE localhost:3000/api/auth/session -H 'Authorization: Bearer tttttt'`,
+    response: { message: 'all sessions revoked' },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/auth/:userId/session',
+    requiresAuth: true,
+    description: 'Force logout of every session for a user (admin only)',
+    example: `curl -X DELETE localhost:3000/api/auth/4/session -H 'Authorization: Bearer tttttt'`,
+    response: { message: 'all sessions revoked' },
+  },
 ];
 
 async function setAuthUser(req, res, next) {
   const token = readAuthToken(req);
   if (token) {
     try {
-      if (await DB.isLoggedIn(token)) {
-        // Check the database to make sure the token is valid.
-        req.user = jwt.verify(token, config.jwtSecret);
+      // Check the database to make sure the token is valid.
+      const sessionId = await DB.getSessionId(token);
+      if (sessionId !== null) {
+        req.user = await keyring.verify(token);
+        req.user.sessionId = sessionId;
         req.user.isRole = (role) => !!req.user.roles.find((r) => r.role === role);
+        await DB.touchSession(sessionId, req.headers['user-agent'], req.ip);
       }
     } catch {
       req.user = null;
@@ -74,8 +232,9 @@ authRouter.post(
       return res.status(400).json({ message: 'name, email, and password are required' });
     }
     const user = await DB.addUser({ name, email, password, roles: [{ role: Role.Diner }] });
-    const auth = await setAuth(user);
-    res.json({ user: user, token: auth });
+    await sendEmailVerification(user.email);
+    const auth = await setAuth(req, user);
+    res.json({ user: user, ...auth });
   })
 );
 
@@ -85,9 +244,131 @@ authRouter.put(
   // track('/api/auth'),
   asyncHandler(async (req, res) => {
     const { email, password } = req.body;
-    const user = await DB.getUser(email, password);
-    const auth = await setAuth(user);
-    res.json({ user: user, token: auth });
+    const retryAfter = loginThrottle.check(email, req.ip);
+    if (retryAfter > 0) {
+      return sendThrottled(res, retryAfter);
+    }
+
+    let user;
+    try {
+      user = await DB.getUser(email, password);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        loginThrottle.recordFailure(email, req.ip);
+      }
+      throw error;
+    }
+    loginThrottle.recordSuccess(email);
+    const challenge = await twoFactorChallenge(user);
+    if (challenge) {
+      return res.json(challenge);
+    }
+    const auth = await setAuth(req, user);
+    res.json({ user: user, ...auth });
+  })
+);
+
+// verifyTwoFactor
+authRouter.post(
+  '/2fa/verify',
+  asyncHandler(async (req, res) => {
+    const { challenge, code, recoveryCode } = req.body;
+    if (!challenge || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'challenge and code or recoveryCode are required' });
+    }
+
+    const user = await DB.getUserById(await readChallenge(challenge, 'verify'));
+    const retryAfter = loginThrottle.check(user.email, req.ip);
+    if (retryAfter > 0) {
+      return sendThrottled(res, retryAfter);
+    }
+    if (!(await checkTwoFactorCode(user.id, code, recoveryCode))) {
+      loginThrottle.recordFailure(user.email, req.ip);
+      throw new StatusCodeError('invalid two factor code', 401);
+    }
+    loginThrottle.recordSuccess(user.email);
+
+    const auth = await setAuth(req, user);
+    res.json({ user: user, ...auth });
+  })
+);
+
+// setupTwoFactor
+authRouter.post(
+  '/2fa/setup',
+  asyncHandler(async (req, res) => {
+    const user = await twoFactorUser(req);
+    const secret = totp.generateSecret();
+    await DB.setTwoFactorSecret(user.id, secret);
+    res.json({ secret, otpauthUrl: totp.otpauthUrl(secret, user.email, authConfig.twoFactorIssuer) });
+  })
+);
+
+// enableTwoFactor
+authRouter.post(
+  '/2fa/enable',
+  asyncHandler(async (req, res) => {
+    const user = await twoFactorUser(req);
+    const twoFactor = await DB.getTwoFactor(user.id);
+    if (!twoFactor) {
+      throw new StatusCodeError('two factor setup has not been started', 400);
+    }
+    if (twoFactor.enabled) {
+      throw new StatusCodeError('two factor authentication already enabled', 409);
+    }
+    const step = totp.verifyCode(twoFactor.secret, req.body.code);
+    if (step === null || !(await DB.useTwoFactorStep(user.id, step))) {
+      throw new StatusCodeError('invalid two factor code', 400);
+    }
+
+    const recoveryCodes = Array.from({ length: 10 }, () => totp.base32Encode(crypto.randomBytes(5)).replace(/(.{4})(.{4})/, '$1-$2'));
+    await DB.enableTwoFactor(user.id, recoveryCodes);
+
+    // Enrolling from a login challenge finishes the login
+    if (!req.user) {
+      const auth = await setAuth(req, user);
+      return res.json({ recoveryCodes, user: user, ...auth });
+    }
+    res.json({ recoveryCodes });
+  })
+);
+
+// disableTwoFactor
+authRouter.delete(
+  '/2fa',
+  authRouter.authenticateToken,
+  asyncHandler(async (req, res) => {
+    if (requiresTwoFactor(req.user)) {
+      throw new StatusCodeError('two factor authentication is required for your role', 403);
+    }
+    const { code, recoveryCode } = req.body;
+    if (!(await checkTwoFactorCode(req.user.id, code, recoveryCode))) {
+      throw new StatusCodeError('invalid two factor code', 401);
+    }
+
+    await DB.disableTwoFactor(req.user.id);
+    res.json({ message: 'two factor authentication disabled' });
+  })
+);
+
+// refresh
+authRouter.post(
+  '/refresh',
+  asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'refreshToken is required' });
+    }
+    const { userId, familyId } = await DB.rotateRefreshToken(refreshToken);
+    const user = await DB.getUserById(userId);
+    // A role that requires two factor authentication may have been granted since the login
+    if (requiresTwoFactor(user) && !(await DB.getTwoFactor(user.id))?.enabled) {
+      await DB.revokeSession(user.id, familyId);
+      eventStreams.closeSession(familyId);
+      throw new StatusCodeError('two factor authentication is required, log in again to enroll', 401);
+    }
+    const auth = await setAuth(req, user, familyId);
+    res.json({ user: user, ...auth });
   })
 );
 
@@ -98,32 +379,240 @@ authRouter.delete(
   authRouter.authenticateToken,
   asyncHandler(async (req, res) => {
     await clearAuth(req);
+    eventStreams.closeSession(req.user.sessionId);
     res.json({ message: 'logout successful' });
   })
 );
 
+// verifyEmail
+authRouter.post(
+  '/verify',
+  asyncHandler(async (req, res) => {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ message: 'token is required' });
+    }
+
+    await DB.verifyEmail(token);
+    res.json({ message: 'email verified' });
+  })
+);
+
+// resendEmailVerification
+authRouter.post(
+  '/verify/resend',
+  authRouter.authenticateToken,
+  asyncHandler(async (req, res) => {
+    const user = await DB.getUserById(req.user.id);
+    if (user.verified) {
+      return res.status(400).json({ message: 'email already verified' });
+    }
+
+    await sendEmailVerification(user.email);
+    res.json({ message: 'verification email sent' });
+  })
+);
+
+// forgotPassword
+authRouter.post(
+  '/password/forgot',
+  asyncHandler(async (req, res) => {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: 'email is required' });
+    }
+
+    // Respond the same way for unknown emails so accounts can't be discovered
+    const token = crypto.randomBytes(32).toString('base64url');
+    const user = await DB.addUserToken(email, 'reset', token, authConfig.passwordResetExpiresIn);
+    if (user) {
+      await mailer.sendPasswordReset(user, token);
+    }
+    res.json({ message: 'if the email is registered a reset link has been sent' });
+  })
+);
+
+// resetPassword
+authRouter.post(
+  '/password/reset',
+  asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ message: 'token and password are required' });
+    }
+
+    await DB.resetPassword(token, password);
+    res.json({ message: 'password reset' });
+  })
+);
+
+// getJwks
+authRouter.get(
+  '/jwks',
+  asyncHandler(async (req, res) => {
+    res.json(await keyring.jwks());
+  })
+);
+
+// getSigningKeys
+authRouter.get(
+  '/keys',
+  authorize('key:manage'),
+  asyncHandler(async (req, res) => {
+    res.json(await keyring.list());
+  })
+);
+
+// rotateSigningKey
+authRouter.post(
+  '/keys',
+  authorize('key:manage'),
+  asyncHandler(async (req, res) => {
+    res.json(await keyring.rotate(req.body.alg));
+  })
+);
+
+// retireSigningKey
+authRouter.delete(
+  '/keys/:kid',
+  authorize('key:manage'),
+  asyncHandler(async (req, res) => {
+    await keyring.retire(req.params.kid);
+    res.json({ message: 'signing key retired' });
+  })
+);
+
+// getSessions
+authRouter.get(
+  '/session',
+  authRouter.authenticateToken,
+  asyncHandler(async (req, res) => {
+    const sessions = await DB.getSessions(req.user.id);
+    res.json(sessions.map((session) => ({ ...session, current: session.id === req.user.sessionId })));
+  })
+);
+
+// revokeSession
+authRouter.delete(
+  '/session/:sessionId',
+  authRouter.authenticateToken,
+  asyncHandler(async (req, res) => {
+    await DB.revokeSession(req.user.id, req.params.sessionId);
+    eventStreams.closeSession(req.params.sessionId);
+    res.json({ message: 'session revoked' });
+  })
+);
+
+// revokeSessions
+authRouter.delete(
+  '/session',
+  authRouter.authenticateToken,
+  asyncHandler(async (req, res) => {
+    await DB.revokeUserSessions(req.user.id);
+    eventStreams.closeUserSessions(req.user.id);
+    res.json({ message: 'all sessions revoked' });
+  })
+);
+
+// forceLogout
+authRouter.delete(
+  '/:userId/session',
+  authorize('user:logout'),
+  asyncHandler(async (req, res) => {
+    await DB.revokeUserSessions(Number(req.params.userId));
+    eventStreams.closeUserSessions(Number(req.params.userId));
+    res.json({ message: 'all sessions revoked' });
+  })
+);
+
 // updateUser
 authRouter.put(
   '/:userId',
   // track('/api/auth/:userId'),
-  authRouter.authenticateToken,
+  authorize('user:update', (req) => ({ id: Number(req.params.userId) })),
   asyncHandler(async (req, res) => {
     const { email, password } = req.body;
-    const userId = Number(req.params.userId);
-    const user = req.user;
-    if (user.id !== userId && !user.isRole(Role.Admin)) {
-      return res.status(403).json({ message: 'unauthorized' });
-    }
-
+    const userId = req.resource.id;
     const updatedUser = await DB.updateUser(userId, email, password);
+    if (email && !updatedUser.verified) {
+      await sendEmailVerification(updatedUser.email);
+    }
     res.json(updatedUser);
   })
 );
 
-async function setAuth(user) {
-  const token = jwt.sign(user, config.jwtSecret);
-  await DB.loginUser(user.id, token);
-  return token;
+async function setAuth(req, user, familyId = crypto.randomUUID()) {
+  const token = await keyring.sign(user, { expiresIn: authConfig.accessTokenExpiresIn });
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  await DB.loginUser(user.id, token, refreshToken, { id: familyId, userAgent: req.headers['user-agent'], ip: req.ip, ...authConfig });
+  return { token, refreshToken };
+}
+
+function sendThrottled(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ message: 'too many failed login attempts, try again later' });
+}
+
+function requiresTwoFactor(user) {
+  return user.roles.some((r) => authConfig.twoFactorRequiredRoles.includes(r.role));
+}
+
+// A challenge proves the password was checked. It is completed either by verifying a code
+// or, for users whose role requires two factor authentication, by enrolling.
+async function twoFactorChallenge(user) {
+  const twoFactor = await DB.getTwoFactor(user.id);
+  if (twoFactor?.enabled) {
+    return { twoFactorRequired: true, challenge: await signChallenge(user, 'verify') };
+  }
+  if (requiresTwoFactor(user)) {
+    return { twoFactorEnrollmentRequired: true, challenge: await signChallenge(user, 'enroll') };
+  }
+  return null;
+}
+
+function signChallenge(user, purpose) {
+  return keyring.sign({ sub: String(user.id), purpose: `2fa-${purpose}` }, { expiresIn: authConfig.twoFactorChallengeExpiresIn });
+}
+
+async function readChallenge(challenge, purpose) {
+  try {
+    const payload = await keyring.verify(challenge);
+    if (payload.purpose === `2fa-${purpose}`) {
+      return Number(payload.sub);
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw new StatusCodeError('invalid or expired challenge', 401);
+}
+
+// Enrollment is done either with a normal token or with an enrollment challenge from login
+async function twoFactorUser(req) {
+  if (req.user) {
+    return req.user;
+  }
+  if (req.body.challenge) {
+    return DB.getUserById(await readChallenge(req.body.challenge, 'enroll'));
+  }
+  throw new StatusCodeError('unauthorized', 401);
+}
+
+async function checkTwoFactorCode(userId, code, recoveryCode) {
+  if (recoveryCode) {
+    return DB.useRecoveryCode(userId, String(recoveryCode).toUpperCase().replace(/[^A-Z2-7]/g, '').replace(/(.{4})(.{4})/, '$1-$2'));
+  }
+  const twoFactor = await DB.getTwoFactor(userId);
+  if (!twoFactor?.enabled) {
+    return false;
+  }
+  const step = totp.verifyCode(twoFactor.secret, code);
+  return step !== null && (await DB.useTwoFactorStep(userId, step));
+}
+
+async function sendEmailVerification(email) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const user = await DB.addUserToken(email, 'verify', token, authConfig.emailVerificationExpiresIn);
+  await mailer.sendEmailVerification(user, token);
 }
 
 async function clearAuth(req) {
@@ -1,5 +1,8 @@
 const request = require('supertest');
 const app = require('../service'); // your Express app that uses authRouter
+const { Role, DB } = require('../database/database.js');
+const mailer = require('../mail/mailer.js');
+const totp = require('../totp.js');
 
 // Helper to check JWT format
 function expectValidJwt(potentialJwt) {
@@ -7,6 +10,26 @@ function expectValidJwt(potentialJwt) {
   expect(potentialJwt).toMatch(/^[A-Za-z0-9\-_]+\.[A-Za-z0-9\-_]+\.[A-Za-z0-9\-_]+$/);
 }
 
+// Register a fresh user so tests don't depend on each other's state
+async function registerUser() {
+  const user = { name: 'pizza diner', email: Math.random().toString(36).substring(2, 12) + '@test.com', password: 'a' };
+  const registerRes = await request(app).post('/api/auth').send(user);
+  expect(registerRes.status).toBe(200);
+  return registerRes;
+}
+
+// Create an admin directly in the database and log them in
+async function getAdminAuth() {
+  const admin = { name: 'admin', email: Math.random().toString(36).substring(2, 12) + '@admin.com', password: 'toomanysecrets', roles: [{ role: Role.Admin }] };
+  await DB.addUser(admin);
+  const loginRes = await request(app).put('/api/auth').send(admin);
+  // Admins have to enroll in two factor authentication to finish logging in
+  const challenge = loginRes.body.challenge;
+  const setupRes = await request(app).post('/api/auth/2fa/setup').send({ challenge });
+  const enableRes = await request(app).post('/api/auth/2fa/enable').send({ challenge, code: totp.generateCode(setupRes.body.secret) });
+  return enableRes.body.token;
+}
+
 describe('authRouter', () => {
   let testUser = {
     name: 'pizza diner',
@@ -103,7 +126,8 @@ describe('authRouter', () => {
   // 5) Update the user (PUT /api/auth/:userId) with an authorized token
   //
   test('update user with valid token & matching userId', async () => {
-    const newEmail = 'newEmail@test.com';
+    // Emails are unique so use a fresh one each run
+    const newEmail = Math.random().toString(36).substring(2, 12) + '@test.com';
     const updateRes = await request(app)
       .put(`/api/auth/${testUserId}`)
       .set('Authorization', `Bearer ${testUserAuthToken}`)
@@ -157,4 +181,350 @@ describe('authRouter', () => {
     expect(logoutRes.status).toBe(401);
     expect(logoutRes.body.message).toMatch(/unauthorized/i);
   });
+
+  //
+  // 9) Refresh rotates the refresh token and issues a new access token
+  //
+  test('refresh issues new tokens', async () => {
+    const loginRes = await registerUser();
+    expect(loginRes.body.refreshToken).toBeDefined();
+
+    const refreshRes = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: loginRes.body.refreshToken });
+
+    expect(refreshRes.status).toBe(200);
+    expectValidJwt(refreshRes.body.token);
+    expect(refreshRes.body.refreshToken).not.toBe(loginRes.body.refreshToken);
+    expect(refreshRes.body.user.id).toBe(loginRes.body.user.id);
+
+    // The new access token works
+    const logoutRes = await request(app)
+      .delete('/api/auth')
+      .set('Authorization', `Bearer ${refreshRes.body.token}`);
+    expect(logoutRes.status).toBe(200);
+  });
+
+  test('refresh requires two factor enrollment after becoming admin', async () => {
+    const loginRes = await registerUser();
+    await DB.addUserRole(loginRes.body.user.id, Role.Admin);
+
+    const refreshRes = await request(app).post('/api/auth/refresh').send({ refreshToken: loginRes.body.refreshToken });
+    expect(refreshRes.status).toBe(401);
+    expect(refreshRes.body.message).toMatch(/two factor/);
+
+    // The session is gone, so the refresh token can't be tried again
+    const retryRes = await request(app).post('/api/auth/refresh').send({ refreshToken: loginRes.body.refreshToken });
+    expect(retryRes.status).toBe(401);
+    const sessionRes = await request(app).get('/api/auth/session').set('Authorization', `Bearer ${loginRes.body.token}`);
+    expect(sessionRes.status).toBe(401);
+  });
+
+  //
+  // 10) Reusing a rotated refresh token revokes the whole token family
+  //
+  test('refresh token reuse revokes family', async () => {
+    const loginRes = await registerUser();
+    const firstRefreshToken = loginRes.body.refreshToken;
+
+    const refreshRes = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: firstRefreshToken });
+    expect(refreshRes.status).toBe(200);
+
+    const reuseRes = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: firstRefreshToken });
+    expect(reuseRes.status).toBe(401);
+    expect(reuseRes.body.message).toMatch(/reuse/i);
+
+    // The token issued by the legitimate refresh is revoked too
+    const afterReuseRes = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: refreshRes.body.refreshToken });
+    expect(afterReuseRes.status).toBe(401);
+
+    const logoutRes = await request(app)
+      .delete('/api/auth')
+      .set('Authorization', `Bearer ${refreshRes.body.token}`);
+    expect(logoutRes.status).toBe(401);
+  });
+
+  //
+  // 11) Refresh without a token => 400
+  //
+  test('refresh without token fails', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({});
+    expect(res.status).toBe(400);
+  });
+
+  //
+  // 12) List sessions and revoke another device's session
+  //
+  test('list and revoke sessions', async () => {
+    const registerRes = await registerUser();
+    const email = registerRes.body.user.email;
+    const loginRes = await request(app)
+      .put('/api/auth')
+      .set('User-Agent', 'second-device')
+      .send({ email, password: 'a' });
+
+    const sessionsRes = await request(app)
+      .get('/api/auth/session')
+      .set('Authorization', `Bearer ${registerRes.body.token}`);
+    expect(sessionsRes.status).toBe(200);
+    expect(sessionsRes.body.length).toBe(2);
+    expect(sessionsRes.body.filter((s) => s.current).length).toBe(1);
+
+    const other = sessionsRes.body.find((s) => !s.current);
+    expect(other.userAgent).toBe('second-device');
+    const revokeRes = await request(app)
+      .delete(`/api/auth/session/${other.id}`)
+      .set('Authorization', `Bearer ${registerRes.body.token}`);
+    expect(revokeRes.status).toBe(200);
+
+    const revokedRes = await request(app)
+      .get('/api/auth/session')
+      .set('Authorization', `Bearer ${loginRes.body.token}`);
+    expect(revokedRes.status).toBe(401);
+  });
+
+  //
+  // 13) Revoking an unknown session => 404
+  //
+  test('revoke unknown session fails', async () => {
+    const registerRes = await registerUser();
+    const res = await request(app)
+      .delete('/api/auth/session/unknown')
+      .set('Authorization', `Bearer ${registerRes.body.token}`);
+    expect(res.status).toBe(404);
+  });
+
+  //
+  // 14) Admin force logout of another user
+  //
+  test('admin force logout', async () => {
+    const registerRes = await registerUser();
+    const userId = registerRes.body.user.id;
+
+    const dinerRes = await request(app)
+      .delete(`/api/auth/${userId}/session`)
+      .set('Authorization', `Bearer ${registerRes.body.token}`);
+    expect(dinerRes.status).toBe(403);
+
+    const adminToken = await getAdminAuth();
+    const adminRes = await request(app)
+      .delete(`/api/auth/${userId}/session`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(adminRes.status).toBe(200);
+
+    const afterRes = await request(app)
+      .get('/api/auth/session')
+      .set('Authorization', `Bearer ${registerRes.body.token}`);
+    expect(afterRes.status).toBe(401);
+  });
+
+  //
+  // 15) Forgot password emails a single use reset token
+  //
+  test('reset password with emailed token', async () => {
+    const registerRes = await registerUser();
+    const email = registerRes.body.user.email;
+    const sendSpy = jest.spyOn(mailer.transport, 'send').mockResolvedValue();
+
+    const forgotRes = await request(app).post('/api/auth/password/forgot').send({ email });
+    expect(forgotRes.status).toBe(200);
+    expect(sendSpy).toHaveBeenCalledTimes(1);
+    const message = sendSpy.mock.calls[0][0];
+    sendSpy.mockRestore();
+    expect(message.to).toBe(email);
+    const token = message.text.match(/token=([A-Za-z0-9\-_]+)/)[1];
+
+    const resetRes = await request(app).post('/api/auth/password/reset').send({ token, password: 'changed' });
+    expect(resetRes.status).toBe(200);
+
+    // Existing sessions are signed out and the new password works
+    const sessionsRes = await request(app)
+      .get('/api/auth/session')
+      .set('Authorization', `Bearer ${registerRes.body.token}`);
+    expect(sessionsRes.status).toBe(401);
+    const loginRes = await request(app).put('/api/auth').send({ email, password: 'changed' });
+    expect(loginRes.status).toBe(200);
+
+    // The token can only be used once
+    const reuseRes = await request(app).post('/api/auth/password/reset').send({ token, password: 'again' });
+    expect(reuseRes.status).toBe(400);
+  });
+
+  //
+  // 16) Forgot password does not reveal unknown emails
+  //
+  test('forgot password for unknown email', async () => {
+    const sendSpy = jest.spyOn(mailer.transport, 'send').mockResolvedValue();
+    const res = await request(app).post('/api/auth/password/forgot').send({ email: 'nobody@unknown.com' });
+    expect(res.status).toBe(200);
+    expect(sendSpy).not.toHaveBeenCalled();
+    sendSpy.mockRestore();
+  });
+
+  //
+  // 17) Registering an email twice => 409
+  //
+  test('register duplicate email fails', async () => {
+    const registerRes = await registerUser();
+    const res = await request(app)
+      .post('/api/auth')
+      .send({ name: 'again', email: registerRes.body.user.email, password: 'b' });
+    expect(res.status).toBe(409);
+  });
+
+  //
+  // 18) Registration emails a verification link
+  //
+  test('verify email with emailed token', async () => {
+    const sendSpy = jest.spyOn(mailer.transport, 'send').mockResolvedValue();
+    const registerRes = await registerUser();
+    expect(registerRes.body.user.verified).toBe(false);
+    const message = sendSpy.mock.calls[0][0];
+    sendSpy.mockRestore();
+    const token = message.text.match(/token=([A-Za-z0-9\-_]+)/)[1];
+
+    const verifyRes = await request(app).post('/api/auth/verify').send({ token });
+    expect(verifyRes.status).toBe(200);
+
+    const loginRes = await request(app).put('/api/auth').send({ email: registerRes.body.user.email, password: 'a' });
+    expect(loginRes.body.user.verified).toBe(true);
+
+    const reuseRes = await request(app).post('/api/auth/verify').send({ token });
+    expect(reuseRes.status).toBe(400);
+  });
+
+  //
+  // 19) Repeated failed logins are throttled with 429 and Retry-After
+  //
+  test('login is throttled after repeated failures', async () => {
+    const registerRes = await registerUser();
+    const email = registerRes.body.user.email;
+
+    let res;
+    for (let i = 0; i < 5 && res?.status !== 429; i++) {
+      res = await request(app).put('/api/auth').send({ email, password: 'wrong' });
+    }
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+
+    // Even the right password is refused while throttled
+    const loginRes = await request(app).put('/api/auth').send({ email, password: 'a' });
+    expect(loginRes.status).toBe(429);
+  });
+
+  //
+  // 20) Admins can't get a token without enrolling in two factor authentication
+  //
+  test('admin login requires two factor enrollment', async () => {
+    const admin = { name: 'admin', email: Math.random().toString(36).substring(2, 12) + '@admin.com', password: 'toomanysecrets', roles: [{ role: Role.Admin }] };
+    await DB.addUser(admin);
+
+    const loginRes = await request(app).put('/api/auth').send(admin);
+    expect(loginRes.status).toBe(200);
+    expect(loginRes.body.token).toBeUndefined();
+    expect(loginRes.body.twoFactorEnrollmentRequired).toBe(true);
+
+    // The challenge is not an access token
+    const sessionsRes = await request(app)
+      .get('/api/auth/session')
+      .set('Authorization', `Bearer ${loginRes.body.challenge}`);
+    expect(sessionsRes.status).toBe(401);
+
+    const challenge = loginRes.body.challenge;
+    const setupRes = await request(app).post('/api/auth/2fa/setup').send({ challenge });
+    expect(setupRes.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+
+    const badRes = await request(app).post('/api/auth/2fa/enable').send({ challenge, code: '000000x' });
+    expect(badRes.status).toBe(400);
+
+    const enableRes = await request(app).post('/api/auth/2fa/enable').send({ challenge, code: totp.generateCode(setupRes.body.secret) });
+    expect(enableRes.status).toBe(200);
+    expectValidJwt(enableRes.body.token);
+    expect(enableRes.body.recoveryCodes.length).toBe(10);
+
+    // Admins can't turn two factor authentication off
+    const disableRes = await request(app)
+      .delete('/api/auth/2fa')
+      .set('Authorization', `Bearer ${enableRes.body.token}`)
+      .send({ code: totp.generateCode(setupRes.body.secret) });
+    expect(disableRes.status).toBe(403);
+  });
+
+  //
+  // 21) Optional two factor login for a diner, with a recovery code
+  //
+  test('two factor login with code and recovery code', async () => {
+    const registerRes = await registerUser();
+    const email = registerRes.body.user.email;
+    const auth = `Bearer ${registerRes.body.token}`;
+
+    const setupRes = await request(app).post('/api/auth/2fa/setup').set('Authorization', auth);
+    const secret = setupRes.body.secret;
+    // Use the previous time step so the login below gets a fresh code
+    const enableRes = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', auth)
+      .send({ code: totp.generateCode(secret, Date.now() - 30000) });
+    expect(enableRes.status).toBe(200);
+    expect(enableRes.body.token).toBeUndefined();
+    const recoveryCode = enableRes.body.recoveryCodes[0];
+
+    const loginRes = await request(app).put('/api/auth').send({ email, password: 'a' });
+    expect(loginRes.body.twoFactorRequired).toBe(true);
+
+    const verifyRes = await request(app).post('/api/auth/2fa/verify').send({ challenge: loginRes.body.challenge, code: totp.generateCode(secret) });
+    expect(verifyRes.status).toBe(200);
+    expectValidJwt(verifyRes.body.token);
+
+    // The same code can't be replayed
+    const replayRes = await request(app).post('/api/auth/2fa/verify').send({ challenge: loginRes.body.challenge, code: totp.generateCode(secret) });
+    expect(replayRes.status).toBe(401);
+
+    const recoveryRes = await request(app).post('/api/auth/2fa/verify').send({ challenge: loginRes.body.challenge, recoveryCode });
+    expect(recoveryRes.status).toBe(200);
+    const recoveryReuseRes = await request(app).post('/api/auth/2fa/verify').send({ challenge: loginRes.body.challenge, recoveryCode });
+    expect(recoveryReuseRes.status).toBe(401);
+  });
+
+  //
+  // 22) Signing key rotation keeps existing tokens valid until the key is retired
+  //
+  test('rotate and retire signing keys', async () => {
+    const adminToken = await getAdminAuth();
+    const auth = `Bearer ${adminToken}`;
+
+    const dinerRes = await request(app).post('/api/auth/keys').set('Authorization', `Bearer ${testUserAuthToken}`).send({ alg: 'ES256' });
+    expect(dinerRes.status).toBe(403);
+
+    const firstRes = await request(app).post('/api/auth/keys').set('Authorization', auth).send({ alg: 'ES256' });
+    expect(firstRes.status).toBe(200);
+    expect(firstRes.body).toMatchObject({ alg: 'ES256', status: 'active' });
+    const kid = firstRes.body.kid;
+
+    const jwksRes = await request(app).get('/api/auth/jwks');
+    expect(jwksRes.status).toBe(200);
+    expect(jwksRes.body.keys.map((key) => key.kid)).toContain(kid);
+
+    const { token } = (await registerUser()).body;
+    const meRes = await request(app).get('/api/auth/session').set('Authorization', `Bearer ${token}`);
+    expect(meRes.status).toBe(200);
+
+    // Rotating again still verifies tokens signed with the previous key
+    const secondRes = await request(app).post('/api/auth/keys').set('Authorization', auth).send({ alg: 'HS256' });
+    expect(secondRes.status).toBe(200);
+    expect((await request(app).get('/api/auth/session').set('Authorization', `Bearer ${token}`)).status).toBe(200);
+
+    const activeRes = await request(app).delete(`/api/auth/keys/${secondRes.body.kid}`).set('Authorization', auth);
+    expect(activeRes.status).toBe(409);
+
+    const retireRes = await request(app).delete(`/api/auth/keys/${kid}`).set('Authorization', auth);
+    expect(retireRes.status).toBe(200);
+    expect((await request(app).get('/api/auth/session').set('Authorization', `Bearer ${token}`)).status).toBe(401);
+  });
 });
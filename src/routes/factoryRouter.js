@@ -0,0 +1,73 @@
+const express = require('express');
+const { DB } = require('../database/database.js');
+const { OutboxStatus } = require('../model/model.js');
+const { StatusCodeError, asyncHandler } = require('../endpointHelper.js');
+const { authorize } = require('../policy.js');
+const outbox = require('../outbox.js');
+
+const factoryRouter = express.Router();
+
+factoryRouter.endpoints = [
+  {
+    method: 'GET',
+    path: '/api/factory/outbox?status=dead&page=1&limit=10',
+    requiresAuth: true,
+    description: 'List factory deliveries waiting in the outbox. status is pending, delivered or dead (admin only)',
+    example: `curl 'localhost:3000/api/factory/outbox?status=dead' -H 'Authorization: Bearer tttttt'`,
+    response: {
+      messages: [
+        {
+          id: 7,
+          type: 'factory-order',
+          orderId: 12,
+          payload: { diner: { id: 4, name: 'pizza diner', email: 'd@jwt.com' }, order: { id: 12, franchiseId: 1, storeId: 1, items: [{ menuId: 1, description: 'Veggie', price: 0.0038 }], total: 0.0038 } },
+          status: 'dead',
+          attempts: 8,
+          nextAttempt: '2024-06-05T06:14:40.000Z',
+          lastError: 'factory responded with 503',
+          created: '2024-06-05T05:14:40.000Z',
+          delivered: null,
+        },
+      ],
+      page: 1,
+      more: false,
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/factory/outbox/:messageId/replay',
+    requiresAuth: true,
+    description: 'Retry a dead factory delivery right away with a fresh set of attempts (admin only)',
+    example: `curl -X POST localhost:3000/api/factory/outbox/7/replay -H 'Authorization: Bearer tttttt'`,
+    response: { id: 7, type: 'factory-order', orderId: 12, status: 'delivered', attempts: 1, lastError: null, delivered: '2024-06-05T07:14:40.000Z' },
+  },
+];
+
+factoryRouter.use(authorize('outbox:manage'));
+
+// getOutbox
+factoryRouter.get(
+  '/outbox',
+  asyncHandler(async (req, res) => {
+    const status = req.query.status ?? null;
+    if (status !== null && !Object.values(OutboxStatus).includes(status)) {
+      throw new StatusCodeError(`status must be one of ${Object.values(OutboxStatus).join(', ')}`, 400);
+    }
+    const page = Math.max(Math.floor(Number(req.query.page)) || 1, 1);
+    const limit = Math.min(Math.max(Math.floor(Number(req.query.limit)) || 10, 1), 100);
+    res.json(await DB.getOutboxMessages(status, page, limit));
+  })
+);
+
+// replayOutboxMessage
+factoryRouter.post(
+  '/outbox/:messageId/replay',
+  asyncHandler(async (req, res) => {
+    const messageId = Number(req.params.messageId);
+    await DB.replayOutboxMessage(messageId);
+    await outbox.deliverNow(messageId);
+    res.json(await DB.getOutboxMessage(messageId));
+  })
+);
+
+module.exports = factoryRouter;
@@ -0,0 +1,65 @@
+const request = require('supertest');
+const app = require('../service');
+const { Role, DB } = require('../database/database.js');
+const totp = require('../totp.js');
+
+if (process.env.VSCODE_INSPECTOR_OPTIONS) {
+  jest.setTimeout(60 * 1000 * 5);
+}
+
+function randomName() {
+  return Math.random().toString(36).substring(2, 12);
+}
+
+async function getAdminAuth() {
+  const admin = { name: randomName(), password: 'toomanysecrets', roles: [{ role: Role.Admin }] };
+  admin.email = `${admin.name}@admin.com`;
+  await DB.addUser(admin);
+  const loginRes = await request(app).put('/api/auth').send(admin);
+  // Admins have to enroll in two factor authentication to finish logging in
+  const challenge = loginRes.body.challenge;
+  const setupRes = await request(app).post('/api/auth/2fa/setup').send({ challenge });
+  const enableRes = await request(app).post('/api/auth/2fa/enable').send({ challenge, code: totp.generateCode(setupRes.body.secret) });
+  return enableRes.body.token;
+}
+
+let adminToken;
+let store;
+
+beforeAll(async () => {
+  adminToken = await getAdminAuth();
+  const franchise = await DB.createFranchise({ name: randomName(), admins: [] });
+  store = await DB.createStore(franchise.id, { name: randomName() });
+});
+
+test('list outbox', async () => {
+  const diner = await DB.addUser({ name: randomName(), email: `${randomName()}@test.com`, password: 'a', roles: [{ role: Role.Diner }] });
+  const order = await DB.addDinerOrder(diner, { franchiseId: store.franchiseId, storeId: store.id, items: [{ menuId: 1 }] });
+
+  const listRes = await request(app).get('/api/factory/outbox?status=pending&limit=100').set('Authorization', `Bearer ${adminToken}`);
+  expect(listRes.status).toBe(200);
+  const message = listRes.body.messages.find((message) => message.id === order.outboxId);
+  expect(message).toMatchObject({ type: 'factory-order', orderId: order.id, status: 'pending', payload: { diner: { id: diner.id }, order: { id: order.id } } });
+
+  const badStatusRes = await request(app).get('/api/factory/outbox?status=lost').set('Authorization', `Bearer ${adminToken}`);
+  expect(badStatusRes.status).toBe(400);
+});
+
+test('only dead messages can be replayed', async () => {
+  const diner = await DB.addUser({ name: randomName(), email: `${randomName()}@test.com`, password: 'a', roles: [{ role: Role.Diner }] });
+  const order = await DB.addDinerOrder(diner, { franchiseId: store.franchiseId, storeId: store.id, items: [{ menuId: 1 }] });
+
+  const replayRes = await request(app).post(`/api/factory/outbox/${order.outboxId}/replay`).set('Authorization', `Bearer ${adminToken}`);
+  expect(replayRes.status).toBe(409);
+
+  const unknownRes = await request(app).post('/api/factory/outbox/0/replay').set('Authorization', `Bearer ${adminToken}`);
+  expect(unknownRes.status).toBe(404);
+});
+
+test('outbox requires admin', async () => {
+  const diner = { name: randomName(), email: `${randomName()}@test.com`, password: 'a' };
+  const registerRes = await request(app).post('/api/auth').send(diner);
+
+  const listRes = await request(app).get('/api/factory/outbox').set('Authorization', `Bearer ${registerRes.body.token}`);
+  expect(listRes.status).toBe(403);
+});
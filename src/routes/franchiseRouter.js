@@ -1,7 +1,10 @@
 const express = require('express');
-const { DB, Role } = require('../database/database.js');
-const { authRouter } = require('./authRouter.js');
+const { DB } = require('../database/database.js');
 const { StatusCodeError, asyncHandler } = require('../endpointHelper.js');
+const { authorize, can } = require('../policy.js');
+const { readOrderQuery, withNextCursor } = require('../orderQuery.js');
+const eventStreams = require('../eventStreams.js');
+const responseCache = require('../responseCache.js');
 // const { track } = require('../metrics.js');
 
 const franchiseRouter = express.Router();
@@ -54,14 +57,63 @@ franchiseRouter.endpoints = [
     example: `curl -X DELETE localhost:3000/api/franchise/1/store/1  -H 'Authorization: Bearer tttttt'`,
     response: { message: 'store deleted' },
   },
+  {
+    method: 'PUT',
+    path: '/api/franchise/:franchiseId/store/:storeId/menu/:menuId',
+    requiresAuth: true,
+    description: 'Set whether a store sells a menu item and at what price. A null price uses the menu price (franchisee or admin)',
+    example: `curl -X PUT localhost:3000/api/franchise/1/store/1/menu/1 -H 'Content-Type: application/json' -d '{"available": true, "price": 0.0045}' -H 'Authorization: Bearer tttttt'`,
+    response: { id: 1, title: 'Veggie', image: 'pizza1.png', description: 'A garden of delight', menuPrice: 0.0038, price: 0.0045, available: true },
+  },
+  {
+    method: 'GET',
+    path: '/api/franchise/:franchiseId/store/:storeId/orders?status=placed&from=2024-06-01&to=2024-07-01&sort=desc&limit=10&cursor=',
+    requiresAuth: true,
+    description: 'List the orders placed at a store, newest first. Every filter is optional. Pass nextCursor as cursor to get the next page. Older clients can still pass page instead of cursor (franchisee or admin)',
+    example: `curl 'localhost:3000/api/franchise/1/store/1/orders?status=placed' -H 'Authorization: Bearer tttttt'`,
+    response: {
+      franchiseId: 1,
+      storeId: 1,
+      orders: [
+        {
+          id: 1,
+          franchiseId: 1,
+          storeId: 1,
+          date: '2024-06-05T05:14:40.000Z',
+          status: 'placed',
+          dinerId: 4,
+          dinerName: 'pizza diner',
+          items: [{ id: 1, menuId: 1, description: 'Veggie', price: 0.0038 }],
+          total: 0.0038,
+          refunded: 0,
+        },
+      ],
+      count: 1,
+      more: false,
+      nextCursor: null,
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/franchise/:franchiseId/store/:storeId/orders/events',
+    requiresAuth: true,
+    description: 'Server-Sent Event stream of the orders placed at a store. The stream ends with a revoked event when the session is revoked (franchisee or admin)',
+    example: `curl -N localhost:3000/api/franchise/1/store/1/orders/events -H 'Authorization: Bearer tttttt'`,
+    response: 'event: order\ndata: {"franchiseId":1,"storeId":1,"items":[{"menuId":1,"description":"Veggie","price":0.0038}],"total":0.0038,"status":"placed","id":1,"dinerId":4,"dinerName":"pizza diner"}',
+  },
 ];
 
 // getFranchises
 franchiseRouter.get(
   '/',
   // track('/api/franchise'),
+  authorize('franchise:list'),
   asyncHandler(async (req, res) => {
-    res.json(await DB.getFranchises(req.user));
+    // Revenue changes with every order, so only the public list is cached
+    if (can(req.user, 'franchise:listRevenue')) {
+      return res.json(await DB.getFranchises(true));
+    }
+    responseCache.send(req, res, await responseCache.get('franchises', 'public', () => DB.getFranchises()));
   })
 );
 
@@ -69,15 +121,9 @@ franchiseRouter.get(
 franchiseRouter.get(
   '/:userId',
   // track('/api/franchise/:userId'),
-  authRouter.authenticateToken,
+  authorize('franchise:listForUser', (req) => ({ id: Number(req.params.userId) })),
   asyncHandler(async (req, res) => {
-    let result = [];
-    const userId = Number(req.params.userId);
-    if (req.user.id === userId || req.user.isRole(Role.Admin)) {
-      result = await DB.getUserFranchises(userId);
-    }
-
-    res.json(result);
+    res.json(await DB.getUserFranchises(req.resource.id));
   })
 );
 
@@ -85,14 +131,12 @@ franchiseRouter.get(
 franchiseRouter.post(
   '/',
   // track('/api/franchise'),
-  authRouter.authenticateToken,
+  authorize('franchise:create'),
   asyncHandler(async (req, res) => {
-    if (!req.user.isRole(Role.Admin)) {
-      throw new StatusCodeError('unable to create a franchise', 403);
-    }
-
     const franchise = req.body;
-    res.send(await DB.createFranchise(franchise));
+    const createdFranchise = await DB.createFranchise(franchise);
+    responseCache.invalidate('franchises');
+    res.send(createdFranchise);
   })
 );
 
@@ -100,13 +144,11 @@ franchiseRouter.post(
 franchiseRouter.delete(
   '/:franchiseId',
   // track('/api/franchise/:franchiseId'),
+  authorize('franchise:delete'),
   asyncHandler(async (req, res) => {
-    if (!req.user.isRole(Role.Admin)) {
-      throw new StatusCodeError('unable to delete a franchise', 403);
-    }
-
     const franchiseId = Number(req.params.franchiseId);
     await DB.deleteFranchise(franchiseId);
+    responseCache.invalidate('franchises', 'menu');
     res.json({ message: 'franchise deleted' });
   })
 );
@@ -115,15 +157,11 @@ franchiseRouter.delete(
 franchiseRouter.post(
   '/:franchiseId/store',
   // track('/api/franchise/:franchiseId/store'),
-  authRouter.authenticateToken,
+  authorize('store:create', loadFranchise),
   asyncHandler(async (req, res) => {
-    const franchiseId = Number(req.params.franchiseId);
-    const franchise = await DB.getFranchise({ id: franchiseId });
-    if (!franchise || (!req.user.isRole(Role.Admin) && !franchise.admins.some((admin) => admin.id === req.user.id))) {
-      throw new StatusCodeError('unable to create a store', 403);
-    }
-
-    res.send(await DB.createStore(franchise.id, req.body));
+    const store = await DB.createStore(req.resource.id, req.body);
+    responseCache.invalidate('franchises');
+    res.send(store);
   })
 );
 
@@ -131,18 +169,58 @@ franchiseRouter.post(
 franchiseRouter.delete(
   '/:franchiseId/store/:storeId',
   // track('/api/franchise/:franchiseId/store/:storeId'),
-  authRouter.authenticateToken,
+  authorize('store:delete', loadFranchise),
   asyncHandler(async (req, res) => {
-    const franchiseId = Number(req.params.franchiseId);
-    const franchise = await DB.getFranchise({ id: franchiseId });
-    if (!franchise || (!req.user.isRole(Role.Admin) && !franchise.admins.some((admin) => admin.id === req.user.id))) {
-      throw new StatusCodeError('unable to delete a store', 403);
+    const storeId = Number(req.params.storeId);
+    await DB.deleteStore(req.resource.id, storeId);
+    responseCache.invalidate('franchises', 'menu');
+    res.json({ message: 'store deleted' });
+  })
+);
+
+// getStoreOrders
+franchiseRouter.get(
+  '/:franchiseId/store/:storeId/orders',
+  authorize('store:listOrders', loadFranchise),
+  asyncHandler(async (req, res) => {
+    const storeId = Number(req.params.storeId);
+    res.json(withNextCursor(await DB.getStoreOrders(req.resource.id, storeId, readOrderQuery(req.query))));
+  })
+);
+
+// setStoreMenuItem
+franchiseRouter.put(
+  '/:franchiseId/store/:storeId/menu/:menuId',
+  authorize('store:manageMenu', loadFranchise),
+  asyncHandler(async (req, res) => {
+    const { available = true, price = null } = req.body;
+    if (typeof available !== 'boolean') {
+      throw new StatusCodeError('available must be true or false', 400);
+    }
+    if (price !== null && (typeof price !== 'number' || !(price > 0))) {
+      throw new StatusCodeError('price must be a positive number or null', 400);
     }
+    const storeMenuItem = await DB.setStoreMenuItem(req.resource.id, Number(req.params.storeId), Number(req.params.menuId), { available, price });
+    responseCache.invalidate('menu');
+    res.json(storeMenuItem);
+  })
+);
 
+// getStoreOrderEvents
+franchiseRouter.get(
+  '/:franchiseId/store/:storeId/orders/events',
+  authorize('store:listOrders', loadFranchise),
+  asyncHandler(async (req, res) => {
     const storeId = Number(req.params.storeId);
-    await DB.deleteStore(franchiseId, storeId);
-    res.json({ message: 'store deleted' });
+    if (!req.resource.stores.some((store) => store.id === storeId)) {
+      throw new StatusCodeError('unknown store', 404);
+    }
+    eventStreams.watchStore(req, res, req.resource.id, storeId);
   })
 );
 
+function loadFranchise(req) {
+  return DB.getFranchise({ id: Number(req.params.franchiseId) });
+}
+
 module.exports = franchiseRouter;
@@ -1,6 +1,7 @@
 const request = require('supertest');
 const app = require('../service');
 const { Role, DB } = require('../database/database.js');
+const totp = require('../totp.js');
 
 if (process.env.VSCODE_INSPECTOR_OPTIONS) {
   jest.setTimeout(60 * 1000 * 5);
@@ -23,7 +24,11 @@ async function createAdminUser() {
 async function getAdminAuth() {
   const adminUser = await createAdminUser();
   const loginRes = await request(app).put('/api/auth').send(adminUser);
-  return [loginRes.body.token, adminUser.email];
+  // Admins have to enroll in two factor authentication to finish logging in
+  const challenge = loginRes.body.challenge;
+  const setupRes = await request(app).post('/api/auth/2fa/setup').send({ challenge });
+  const enableRes = await request(app).post('/api/auth/2fa/enable').send({ challenge, code: totp.generateCode(setupRes.body.secret) });
+  return [enableRes.body.token, adminUser.email];
 }
 
 test('getFranchises', async () => {
@@ -97,3 +102,89 @@ test('createStore', async () => {
   expect(createStoreRes.status).toBe(200);
   expect(createStoreRes.body).toMatchObject({ name: newStore.name });
 });
+
+test('deleteFranchise without auth', async () => {
+  const deleteFranchiseRes = await request(app).delete('/api/franchise/1');
+  expect(deleteFranchiseRes.status).toBe(401);
+});
+
+test('getStoreOrders', async () => {
+  const [, token, franchiseId] = await createFranchise();
+  const storeRes = await request(app).post(`/api/franchise/${franchiseId}/store`).set('Authorization', `Bearer ${token}`).send({ name: randomName() });
+  const storeId = storeRes.body.id;
+
+  const diner = await createAdminUser();
+  const menuItem = (await request(app).get('/api/order/menu')).body[0];
+  const order = await DB.addDinerOrder(diner, { franchiseId, storeId, items: [{ menuId: menuItem.id }] });
+
+  const queueRes = await request(app).get(`/api/franchise/${franchiseId}/store/${storeId}/orders`).set('Authorization', `Bearer ${token}`);
+  expect(queueRes.status).toBe(200);
+  expect(queueRes.body).toMatchObject({ franchiseId, storeId, count: 1, more: false, nextCursor: null });
+  expect(queueRes.body.orders[0]).toMatchObject({ id: order.id, status: 'placed', dinerId: diner.id, dinerName: diner.name, items: [{ menuId: menuItem.id, description: menuItem.title }] });
+
+  const deliveredRes = await request(app).get(`/api/franchise/${franchiseId}/store/${storeId}/orders?status=delivered`).set('Authorization', `Bearer ${token}`);
+  expect(deliveredRes.body).toMatchObject({ orders: [], count: 0 });
+
+  const unknownStoreRes = await request(app).get(`/api/franchise/${franchiseId}/store/0/orders`).set('Authorization', `Bearer ${token}`);
+  expect(unknownStoreRes.status).toBe(404);
+
+  let dinerUser = { name: randomName(), password: 'a', roles: [{ role: Role.Diner }] };
+  dinerUser.email = `${dinerUser.name}@test.com`;
+  await DB.addUser(dinerUser);
+  const dinerLoginRes = await request(app).put('/api/auth').send({ email: dinerUser.email, password: 'a' });
+  const forbiddenRes = await request(app).get(`/api/franchise/${franchiseId}/store/${storeId}/orders`).set('Authorization', `Bearer ${dinerLoginRes.body.token}`);
+  expect(forbiddenRes.status).toBe(403);
+});
+
+test('store menu overrides', async () => {
+  const [, token, franchiseId] = await createFranchise();
+  const storeId = (await request(app).post(`/api/franchise/${franchiseId}/store`).set('Authorization', `Bearer ${token}`).send({ name: randomName() })).body.id;
+  const title = randomName();
+  const menu = (await request(app).put('/api/order/menu').set('Authorization', `Bearer ${token}`).send({ title, description: 'Store special', image: 'pizza3.png', price: 0.002 })).body;
+  const menuId = menu.find((item) => item.title === title).id;
+  const diner = await createAdminUser();
+
+  const priceRes = await request(app).put(`/api/franchise/${franchiseId}/store/${storeId}/menu/${menuId}`).set('Authorization', `Bearer ${token}`).send({ price: 0.0025 });
+  expect(priceRes.status).toBe(200);
+  expect(priceRes.body).toMatchObject({ id: menuId, menuPrice: 0.002, price: 0.0025, available: true });
+
+  const storeMenuRes = await request(app).get(`/api/order/menu?storeId=${storeId}`);
+  expect(storeMenuRes.body.find((item) => item.id === menuId)).toMatchObject({ price: 0.0025 });
+  const globalMenuRes = await request(app).get('/api/order/menu');
+  expect(globalMenuRes.body.find((item) => item.id === menuId)).toMatchObject({ price: 0.002 });
+
+  const order = await DB.addDinerOrder(diner, { franchiseId, storeId, items: [{ menuId, price: 0.0025 }] });
+  expect(order.total).toBe(0.0025);
+
+  await request(app).put(`/api/franchise/${franchiseId}/store/${storeId}/menu/${menuId}`).set('Authorization', `Bearer ${token}`).send({ available: false });
+  const disabledMenuRes = await request(app).get(`/api/order/menu?storeId=${storeId}`);
+  expect(disabledMenuRes.body.some((item) => item.id === menuId)).toBe(false);
+  await expect(DB.addDinerOrder(diner, { franchiseId, storeId, items: [{ menuId }] })).rejects.toMatchObject({ statusCode: 400 });
+
+  const badPriceRes = await request(app).put(`/api/franchise/${franchiseId}/store/${storeId}/menu/${menuId}`).set('Authorization', `Bearer ${token}`).send({ price: 'free' });
+  expect(badPriceRes.status).toBe(400);
+  const unknownStoreRes = await request(app).put(`/api/franchise/${franchiseId}/store/0/menu/${menuId}`).set('Authorization', `Bearer ${token}`).send({ available: true });
+  expect(unknownStoreRes.status).toBe(404);
+  const unknownMenuRes = await request(app).get('/api/order/menu?storeId=0');
+  expect(unknownMenuRes.status).toBe(404);
+});
+
+test('franchise list supports conditional requests', async () => {
+  const listRes = await request(app).get('/api/franchise');
+  expect(listRes.headers.etag).toBeDefined();
+  expect(listRes.headers['last-modified']).toBeDefined();
+
+  const notModifiedRes = await request(app).get('/api/franchise').set('If-None-Match', listRes.headers.etag);
+  expect(notModifiedRes.status).toBe(304);
+
+  // Adding a store invalidates the cached list
+  const [, token, franchiseId] = await createFranchise();
+  await request(app).post(`/api/franchise/${franchiseId}/store`).set('Authorization', `Bearer ${token}`).send({ name: randomName() });
+  const changedRes = await request(app).get('/api/franchise').set('If-None-Match', listRes.headers.etag);
+  expect(changedRes.status).toBe(200);
+  expect(changedRes.body.find((franchise) => franchise.id === franchiseId).stores.length).toBe(1);
+
+  const menuRes = await request(app).get('/api/order/menu');
+  const cachedMenuRes = await request(app).get('/api/order/menu').set('If-Modified-Since', menuRes.headers['last-modified']);
+  expect(cachedMenuRes.status).toBe(304);
+});
@@ -1,44 +1,179 @@
 const express = require('express');
-// const config = require('../config.js');
-const { Role, DB } = require('../database/database.js');
-const { authRouter } = require('./authRouter.js');
-const { asyncHandler, StatusCodeError } = require('../endpointHelper.js');
-const factoryService = require('../factoryService.js');
+const config = require('../config.js');
+const { DB } = require('../database/database.js');
+const { OrderStatus, MenuCategory, DietaryTag, manualOrderStatuses } = require('../model/model.js');
+const { StatusCodeError, asyncHandler } = require('../endpointHelper.js');
+const { authorize, can } = require('../policy.js');
+const { idempotency, markCommitted } = require('../idempotency.js');
+const outbox = require('../outbox.js');
+const eventStreams = require('../eventStreams.js');
+const pizzaVerifier = require('../pizzaVerifier.js');
+const imageStore = require('../storage/imageStore.js');
+const responseCache = require('../responseCache.js');
+const { readOrderQuery, withNextCursor } = require('../orderQuery.js');
 // const { trackPurchase, track } = require('../metrics.js');
 
+// Diners can cancel their own order for cancelWindowSeconds after placing it
+const orderConfig = {
+  cancelWindowSeconds: 5 * 60,
+  ...config.order,
+};
+
 const orderRouter = express.Router();
 
 orderRouter.endpoints = [
   {
     method: 'GET',
-    path: '/api/order/menu',
-    description: 'Get the pizza menu',
-    example: `curl localhost:3000/api/order/menu`,
-    response: [{ id: 1, title: 'Veggie', image: 'pizza1.png', price: 0.0038, description: 'A garden of delight' }],
+    path: '/api/order/menu?storeId=1&category=pizza&tag=vegetarian&search=garden&includeRetired=false',
+    description: 'Get the pizza menu in sort order. Every filter is optional. With a storeId, get the items that store sells at its prices. Repeat tag to require several tags. Admins can include retired items',
+    example: `curl 'localhost:3000/api/order/menu?category=pizza&tag=vegetarian'`,
+    response: [{ id: 1, title: 'Veggie', image: 'pizza1.png', price: 0.0038, description: 'A garden of delight', category: 'pizza', sortOrder: 0, tags: ['vegetarian'] }],
   },
   {
     method: 'PUT',
     path: '/api/order/menu',
     requiresAuth: true,
-    description: 'Add an item to the menu',
-    example: `curl -X PUT localhost:3000/api/order/menu -H 'Content-Type: application/json' -d '{ "title":"Student", "description": "No topping, no sauce, just carbs", "image":"pizza9.png", "price": 0.0001 }'  -H 'Authorization: Bearer tttttt'`,
-    response: [{ id: 1, title: 'Student', description: 'No topping, no sauce, just carbs', image: 'pizza9.png', price: 0.0001 }],
+    description: 'Add an item to the menu. category (pizza, sides or drinks), tags (vegetarian, gluten-free, contains-nuts) and sortOrder are optional',
+    example: `curl -X PUT localhost:3000/api/order/menu -H 'Content-Type: application/json' -d '{ "title":"Student", "description": "No topping, no sauce, just carbs", "image":"pizza9.png", "price": 0.0001, "tags": ["vegetarian"] }'  -H 'Authorization: Bearer tttttt'`,
+    response: [{ id: 1, title: 'Student', description: 'No topping, no sauce, just carbs', image: 'pizza9.png', price: 0.0001, category: 'pizza', sortOrder: 0, tags: ['vegetarian'] }],
+  },
+  {
+    method: 'PUT',
+    path: '/api/order/menu/:menuId',
+    requiresAuth: true,
+    description: 'Change a menu item. Only the fields given change. Set retired to false to put a retired item back on the menu (admin only)',
+    example: `curl -X PUT localhost:3000/api/order/menu/1 -H 'Content-Type: application/json' -d '{ "price": 0.0042 }'  -H 'Authorization: Bearer tttttt'`,
+    response: { id: 1, title: 'Veggie', image: 'pizza1.png', price: 0.0042, description: 'A garden of delight', category: 'pizza', sortOrder: 0, retired: false, tags: ['vegetarian'] },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/order/menu/:menuId',
+    requiresAuth: true,
+    description: 'Retire a menu item. It is no longer listed or accepted in new orders, but past orders keep it (admin only)',
+    example: `curl -X DELETE localhost:3000/api/order/menu/1  -H 'Authorization: Bearer tttttt'`,
+    response: { id: 1, title: 'Veggie', image: 'pizza1.png', price: 0.0042, description: 'A garden of delight', category: 'pizza', sortOrder: 0, retired: true, tags: ['vegetarian'] },
+  },
+  {
+    method: 'POST',
+    path: '/api/order/menu/image',
+    requiresAuth: true,
+    description: 'Upload a PNG, JPEG, GIF or WebP image for a menu item as the request body. Use the returned image name when adding or changing menu items (admin only)',
+    example: `curl -X POST localhost:3000/api/order/menu/image -H 'Content-Type: image/png' --data-binary @pizza9.png -H 'Authorization: Bearer tttttt'`,
+    response: { image: '3f786850e387550fdab836ed7e6dc881.png', url: '/api/order/menu/image/3f786850e387550fdab836ed7e6dc881.png', contentType: 'image/png', bytes: 20480 },
   },
   {
     method: 'GET',
-    path: '/api/order',
+    path: '/api/order/menu/image/:name',
+    description: 'Get an uploaded menu image. Images never change, so they can be cached for good',
+    example: `curl localhost:3000/api/order/menu/image/3f786850e387550fdab836ed7e6dc881.png -o pizza.png`,
+    response: '<image bytes>',
+  },
+  {
+    method: 'GET',
+    path: '/api/order?from=2024-06-01&to=2024-07-01&franchiseId=1&storeId=1&status=delivered&sort=desc&limit=10&cursor=',
+    requiresAuth: true,
+    description: 'Get the orders for the authenticated user, newest first. Every filter is optional. Pass nextCursor as cursor to get the next page. Older clients can still pass page instead of cursor',
+    example: `curl -X GET 'localhost:3000/api/order?from=2024-06-01&limit=10'  -H 'Authorization: Bearer tttttt'`,
+    response: {
+      dinerId: 4,
+      orders: [{ id: 1, franchiseId: 1, storeId: 1, date: '2024-06-05T05:14:40.000Z', status: 'delivered', items: [{ id: 1, menuId: 1, description: 'Veggie', price: 0.05 }], total: 0.05, refunded: 0 }],
+      count: 11,
+      more: true,
+      nextCursor: 'eyJkYXRlIjoiMjAyNC0wNi0wNVQwNToxNDo0MC4wMDBaIiwiaWQiOjF9',
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/order/verify',
     requiresAuth: true,
-    description: 'Get the orders for the authenticated user',
-    example: `curl -X GET localhost:3000/api/order  -H 'Authorization: Bearer tttttt'`,
-    response: { dinerId: 4, orders: [{ id: 1, franchiseId: 1, storeId: 1, date: '2024-06-05T05:14:40.000Z', items: [{ id: 1, menuId: 1, description: 'Veggie', price: 0.05 }] }], page: 1 },
+    description: 'Check that a pizza JWT was signed by the factory and matches a stored order. Failures give a reason: malformed, unknown-key, invalid-signature, expired, unknown-order or order-mismatch',
+    example: `curl -X POST localhost:3000/api/order/verify -H 'Content-Type: application/json' -d '{"jwt":"1111111111"}' -H 'Authorization: Bearer tttttt'`,
+    response: {
+      valid: true,
+      pizza: { vendor: { id: 'jwt', name: 'JWT Pizza' }, diner: { id: 4, name: 'pizza diner', email: 'd@jwt.com' }, order: { id: 1, franchiseId: 1, storeId: 1, items: [{ menuId: 1, description: 'Veggie', price: 0.0038 }] } },
+      order: { id: 1, dinerId: 4, franchiseId: 1, storeId: 1, date: '2024-06-05T05:14:40.000Z', status: 'sent-to-factory', items: [{ id: 1, menuId: 1, description: 'Veggie', price: 0.0038 }] },
+    },
+  },
+  {
+    method: 'GET',
+    path: '/api/order/:orderId',
+    requiresAuth: true,
+    description: 'Get an order with its status history (diner who placed it, franchisee or admin)',
+    example: `curl localhost:3000/api/order/1 -H 'Authorization: Bearer tttttt'`,
+    response: {
+      id: 1,
+      dinerId: 4,
+      franchiseId: 1,
+      storeId: 1,
+      date: '2024-06-05T05:14:40.000Z',
+      status: 'sent-to-factory',
+      items: [{ id: 1, menuId: 1, description: 'Veggie', price: 0.0038 }],
+      history: [
+        { status: 'placed', userId: 4, date: '2024-06-05T05:14:40.000Z' },
+        { status: 'sent-to-factory', userId: null, date: '2024-06-05T05:14:41.000Z' },
+      ],
+      refunds: [],
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/order/:orderId/cancel',
+    requiresAuth: true,
+    description: 'Cancel an order that the factory has not started baking and refund it. Diners can only cancel shortly after ordering (diner who placed it, franchisee or admin)',
+    example: `curl -X POST localhost:3000/api/order/1/cancel -H 'Content-Type: application/json' -d '{"reason":"ordered by mistake"}' -H 'Authorization: Bearer tttttt'`,
+    response: {
+      id: 1,
+      dinerId: 4,
+      franchiseId: 1,
+      storeId: 1,
+      date: '2024-06-05T05:14:40.000Z',
+      status: 'cancelled',
+      items: [{ id: 1, menuId: 1, description: 'Veggie', price: 0.0038 }],
+      history: [],
+      refunds: [{ orderItemId: 1, amount: 0.0038, reason: 'ordered by mistake', userId: 4, date: '2024-06-05T05:15:40.000Z' }],
+    },
+  },
+  {
+    method: 'POST',
+    path: '/api/order/:orderId/refund',
+    requiresAuth: true,
+    description: 'Refund some items of an order, or all of them when items is left out (franchisee or admin)',
+    example: `curl -X POST localhost:3000/api/order/1/refund -H 'Content-Type: application/json' -d '{"items":[1], "reason":"cold pizza"}' -H 'Authorization: Bearer tttttt'`,
+    response: {
+      id: 1,
+      dinerId: 4,
+      franchiseId: 1,
+      storeId: 1,
+      date: '2024-06-05T05:14:40.000Z',
+      status: 'delivered',
+      items: [{ id: 1, menuId: 1, description: 'Veggie', price: 0.0038 }],
+      history: [],
+      refunds: [{ orderItemId: 1, amount: 0.0038, reason: 'cold pizza', userId: 3, date: '2024-06-05T06:14:40.000Z' }],
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/api/order/:orderId/status',
+    requiresAuth: true,
+    description: 'Advance an order to baking, ready or delivered, or mark an order the factory has as failed. Sent-to-factory is set as the order is delivered to the factory, and orders are cancelled with POST /api/order/:orderId/cancel (franchisee or admin)',
+    example: `curl -X PUT localhost:3000/api/order/1/status -H 'Content-Type: application/json' -d '{"status":"baking"}' -H 'Authorization: Bearer tttttt'`,
+    response: { id: 1, dinerId: 4, franchiseId: 1, storeId: 1, date: '2024-06-05T05:14:40.000Z', status: 'baking', items: [], history: [], refunds: [] },
+  },
+  {
+    method: 'GET',
+    path: '/api/order/:orderId/events',
+    requiresAuth: true,
+    description: 'Server-Sent Event stream of status changes for an order. The current status is sent first. The stream ends with a revoked event when the session is revoked',
+    example: `curl -N localhost:3000/api/order/1/events -H 'Authorization: Bearer tttttt'`,
+    response: 'event: status\ndata: {"orderId":1,"status":"baking","date":"2024-06-05T05:16:02.000Z"}',
   },
   {
     method: 'POST',
     path: '/api/order',
     requiresAuth: true,
-    description: 'Create a order for the authenticated user',
-    example: `curl -X POST localhost:3000/api/order -H 'Content-Type: application/json' -d '{"franchiseId": 1, "storeId":1, "items":[{ "menuId": 1, "description": "Veggie", "price": 0.05 }]}'  -H 'Authorization: Bearer tttttt'`,
-    response: { order: { franchiseId: 1, storeId: 1, items: [{ menuId: 1, description: 'Veggie', price: 0.05 }], id: 1 }, jwt: '1111111111' },
+    description: 'Create a order for the authenticated user at one of the stores of the franchise. Items are priced from the store menu and a price that does not match the menu is rejected. Retries with the same Idempotency-Key header replay the first response. If the factory is unavailable the order is accepted with 202 and sent when the factory recovers',
+    example: `curl -X POST localhost:3000/api/order -H 'Content-Type: application/json' -H 'Idempotency-Key: 6f1c1f7f' -d '{"franchiseId": 1, "storeId":1, "items":[{ "menuId": 1, "description": "Veggie", "price": 0.0038 }]}'  -H 'Authorization: Bearer tttttt'`,
+    response: { order: { franchiseId: 1, storeId: 1, items: [{ menuId: 1, description: 'Veggie', price: 0.0038 }], total: 0.0038, status: 'sent-to-factory', id: 1 }, jwt: '1111111111' },
   },
 ];
 
@@ -46,8 +181,13 @@ orderRouter.endpoints = [
 orderRouter.get(
   '/menu',
   // track('/api/order/menu'),
+  authorize('menu:read'),
   asyncHandler(async (req, res) => {
-    res.send(await DB.getMenu());
+    const filters = readMenuQuery(req.query);
+    if (filters.includeRetired && !can(req.user, 'menu:manage')) {
+      throw new StatusCodeError('unable to list retired menu items', 403);
+    }
+    responseCache.send(req, res, await responseCache.get('menu', JSON.stringify(filters), () => DB.getMenu(filters)));
   })
 );
 
@@ -55,25 +195,70 @@ orderRouter.get(
 orderRouter.put(
   '/menu',
   // track('/api/order/menu'),
-  authRouter.authenticateToken,
+  authorize('menu:create'),
   asyncHandler(async (req, res) => {
-    if (!req.user.isRole(Role.Admin)) {
-      throw new StatusCodeError('unable to add menu item', 403);
-    }
-
-    const addMenuItemReq = req.body;
+    const addMenuItemReq = readMenuChanges(req.body);
     await DB.addMenuItem(addMenuItemReq);
+    responseCache.invalidate('menu');
     res.send(await DB.getMenu());
   })
 );
 
+// updateMenuItem
+orderRouter.put(
+  '/menu/:menuId',
+  authorize('menu:manage'),
+  asyncHandler(async (req, res) => {
+    const menuItem = await DB.updateMenuItem(Number(req.params.menuId), readMenuChanges(req.body));
+    responseCache.invalidate('menu');
+    res.json(menuItem);
+  })
+);
+
+// retireMenuItem
+orderRouter.delete(
+  '/menu/:menuId',
+  authorize('menu:manage'),
+  asyncHandler(async (req, res) => {
+    const menuItem = await DB.updateMenuItem(Number(req.params.menuId), { retired: true });
+    responseCache.invalidate('menu');
+    res.json(menuItem);
+  })
+);
+
+// uploadMenuImage
+orderRouter.post(
+  '/menu/image',
+  authorize('menu:create'),
+  express.raw({ type: () => true, limit: imageStore.options.maxBytes }),
+  asyncHandler(async (req, res) => {
+    const image = await imageStore.save(req.body);
+    res.status(201).json({ image: image.name, url: `/api/order/menu/image/${image.name}`, contentType: image.contentType, bytes: image.bytes });
+  })
+);
+
+// getMenuImage
+orderRouter.get(
+  '/menu/image/:name',
+  authorize('menu:read'),
+  asyncHandler(async (req, res) => {
+    const image = await imageStore.get(req.params.name);
+    if (!image) {
+      throw new StatusCodeError('unknown image', 404);
+    }
+    // The name is a hash of the contents, so it never changes
+    res.set('Cache-Control', `public, max-age=${imageStore.options.cacheSeconds}, immutable`);
+    res.type(image.contentType).send(image.data);
+  })
+);
+
 // getOrders
 orderRouter.get(
   '/',
   // track('/api/order'),
-  authRouter.authenticateToken,
+  authorize('order:list'),
   asyncHandler(async (req, res) => {
-    res.json(await DB.getOrders(req.user, req.query.page));
+    res.json(withNextCursor(await DB.getOrders(req.user, readOrderQuery(req.query))));
   })
 );
 
@@ -81,37 +266,175 @@ orderRouter.get(
 orderRouter.post(
   '/',
   // track('/api/order'),
-  authRouter.authenticateToken,
+  authorize('order:create', (req) => DB.getUserById(req.user.id)),
+  idempotency(),
   asyncHandler(async (req, res) => {
     const orderReq = req.body;
-    const order = await DB.addDinerOrder(req.user, orderReq);
-    
-    try {
-      // Use our new factory service with logging
-      const response = await factoryService.sendOrder(
-        { id: req.user.id, name: req.user.name, email: req.user.email }, 
-        order
-      );
-      
-      if (response.ok) {
-        res.send({ 
-          order, 
-          reportSlowPizzaToFactoryUrl: response.body.reportUrl, 
-          jwt: response.body.jwt 
-        });
-      } else {
-        res.status(500).send({ 
-          message: 'Failed to fulfill order at factory', 
-          reportPizzaCreationErrorToPizzaFactoryUrl: response.body.reportUrl 
-        });
-      }
-    } catch (error) {
-      res.status(500).send({ 
-        message: 'Error communicating with factory service', 
-        error: error.message 
+    const { outboxId, ...order } = await DB.addDinerOrder(req.user, orderReq);
+    markCommitted(res);
+    eventStreams.publishNewOrder(order, req.user);
+
+    // Try the factory right away. If it can't take the order the outbox keeps retrying.
+    const delivery = await outbox.deliverNow(outboxId);
+    if (delivery?.delivered) {
+      res.send({
+        order: { ...order, status: OrderStatus.SentToFactory },
+        reportSlowPizzaToFactoryUrl: delivery.result.reportUrl,
+        jwt: delivery.result.jwt,
       });
+    } else if (delivery?.dead) {
+      res.status(500).send({ message: 'Failed to fulfill order at factory', order: { ...order, status: OrderStatus.Failed } });
+    } else {
+      res.status(202).send({ message: 'Order accepted and will be sent to the factory shortly', order });
     }
   })
 );
 
+// verifyPizza
+orderRouter.post(
+  '/verify',
+  authorize('order:verify'),
+  asyncHandler(async (req, res) => {
+    const { jwt } = req.body;
+    const result = await pizzaVerifier.verify(jwt);
+    res.status(result.valid ? 200 : 400).json(result);
+  })
+);
+
+// getOrder
+orderRouter.get(
+  '/:orderId',
+  authorize('order:read', loadOrder),
+  asyncHandler(async (req, res) => {
+    res.json(req.resource.order);
+  })
+);
+
+// updateOrderStatus
+orderRouter.put(
+  '/:orderId/status',
+  authorize('order:updateStatus', loadOrder),
+  asyncHandler(async (req, res) => {
+    const { status } = req.body;
+    if (!Object.values(OrderStatus).includes(status)) {
+      throw new StatusCodeError(`status must be one of ${Object.values(OrderStatus).join(', ')}`, 400);
+    }
+    // Cancelling also refunds the order and stops the factory
+    if (status === OrderStatus.Cancelled) {
+      throw new StatusCodeError(`use POST /api/order/${req.resource.order.id}/cancel to cancel an order`, 400);
+    }
+    if (!manualOrderStatuses.includes(status)) {
+      throw new StatusCodeError(`status can only be set to ${manualOrderStatuses.join(', ')}. The factory delivery sets ${status}`, 400);
+    }
+    // Until the factory has the order the outbox decides whether delivering it failed
+    if (status === OrderStatus.Failed && req.resource.order.status === OrderStatus.Placed) {
+      throw new StatusCodeError('the order has not reached the factory yet', 409);
+    }
+    const order = await DB.updateOrderStatus(req.resource.order.id, status, req.user.id);
+    eventStreams.publishOrderStatus(order);
+    res.json(order);
+  })
+);
+
+// getOrderEvents
+orderRouter.get(
+  '/:orderId/events',
+  authorize('order:read', loadOrder),
+  asyncHandler(async (req, res) => {
+    eventStreams.watchOrder(req, res, req.resource.order);
+  })
+);
+
+// cancelOrder
+orderRouter.post(
+  '/:orderId/cancel',
+  authorize('order:cancel', loadOrder),
+  asyncHandler(async (req, res) => {
+    const { order } = req.resource;
+    // Franchisees and admins can cancel at any time
+    if (!can(req.user, 'order:refund', req.resource)) {
+      const ageSeconds = (Date.now() - new Date(order.date).getTime()) / 1000;
+      if (ageSeconds > orderConfig.cancelWindowSeconds) {
+        throw new StatusCodeError(`orders can only be cancelled within ${orderConfig.cancelWindowSeconds} seconds of ordering`, 403);
+      }
+    }
+    const cancelledOrder = await DB.cancelOrder(order.id, req.user.id, readReason(req.body));
+    eventStreams.publishOrderStatus(cancelledOrder);
+    res.json(cancelledOrder);
+  })
+);
+
+// refundOrder
+orderRouter.post(
+  '/:orderId/refund',
+  authorize('order:refund', loadOrder),
+  asyncHandler(async (req, res) => {
+    const { items = [] } = req.body;
+    if (!Array.isArray(items) || !items.every(Number.isInteger)) {
+      throw new StatusCodeError('items must be a list of order item ids', 400);
+    }
+    res.json(await DB.refundOrder(req.resource.order.id, items, req.user.id, readReason(req.body)));
+  })
+);
+
+function readMenuQuery(query) {
+  let storeId = null;
+  if (query.storeId !== undefined) {
+    storeId = Number(query.storeId);
+    if (!Number.isInteger(storeId)) {
+      throw new StatusCodeError('storeId must be a number', 400);
+    }
+  }
+  const category = query.category ?? null;
+  if (category !== null && !Object.values(MenuCategory).includes(category)) {
+    throw new StatusCodeError(`category must be one of ${Object.values(MenuCategory).join(', ')}`, 400);
+  }
+  // Tags can be repeated or separated by commas. Items must have every tag.
+  const tags = [query.tag ?? []].flat().flatMap((tag) => String(tag).split(',')).filter((tag) => tag !== '');
+  if (!tags.every((tag) => Object.values(DietaryTag).includes(tag))) {
+    throw new StatusCodeError(`tag must be one of ${Object.values(DietaryTag).join(', ')}`, 400);
+  }
+  return { storeId, includeRetired: query.includeRetired === 'true', category, tags, search: String(query.search ?? '').trim() };
+}
+
+function readMenuChanges(body) {
+  const { title, description, image, price, category, tags, sortOrder, retired } = body;
+  for (const [name, value] of Object.entries({ title, description, image })) {
+    if (value !== undefined && (typeof value !== 'string' || value.trim() === '')) {
+      throw new StatusCodeError(`${name} must be text`, 400);
+    }
+  }
+  if (price !== undefined && (typeof price !== 'number' || !(price > 0))) {
+    throw new StatusCodeError('price must be a positive number', 400);
+  }
+  if (category !== undefined && !Object.values(MenuCategory).includes(category)) {
+    throw new StatusCodeError(`category must be one of ${Object.values(MenuCategory).join(', ')}`, 400);
+  }
+  if (tags !== undefined && !(Array.isArray(tags) && tags.every((tag) => Object.values(DietaryTag).includes(tag)))) {
+    throw new StatusCodeError(`tags must be a list of ${Object.values(DietaryTag).join(', ')}`, 400);
+  }
+  if (sortOrder !== undefined && !Number.isInteger(sortOrder)) {
+    throw new StatusCodeError('sortOrder must be a whole number', 400);
+  }
+  if (retired !== undefined && typeof retired !== 'boolean') {
+    throw new StatusCodeError('retired must be true or false', 400);
+  }
+  return { title, description, image, price, category, tags, sortOrder, retired };
+}
+
+function readReason(body) {
+  const { reason } = body;
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 255)) {
+    throw new StatusCodeError('reason must be text of at most 255 characters', 400);
+  }
+  return reason || null;
+}
+
+// Orders are visible to the franchise that fulfills them
+async function loadOrder(req) {
+  const order = await DB.getOrder(Number(req.params.orderId));
+  const franchise = await DB.getFranchise({ id: order.franchiseId });
+  return { order, franchise };
+}
+
 module.exports = orderRouter;
\ No newline at end of file
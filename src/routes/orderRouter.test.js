@@ -1,6 +1,9 @@
 const request = require('supertest');
 const app = require('../service');
 const { Role, DB } = require('../database/database.js');
+const mailer = require('../mail/mailer.js');
+const totp = require('../totp.js');
+const outbox = require('../outbox.js');
 
 if (process.env.VSCODE_INSPECTOR_OPTIONS) {
   jest.setTimeout(60 * 1000 * 5); 
@@ -16,9 +19,16 @@ let menuItem = {id: 1, title: 'Veggie', image: 'pizza1.png',
 // make random user
 const testUser = { name: 'pizza diner', email: 'reg@test.com', password: 'a' };
 
-async function createUser() {
+async function createUser(verified = true) {
     testUser.email = Math.random().toString(36).substring(2, 12) + '@test.com';
+    const sendSpy = jest.spyOn(mailer.transport, 'send').mockResolvedValue();
     const registerRes = await request(app).post('/api/auth').send(testUser);
+    const message = sendSpy.mock.calls[0][0];
+    sendSpy.mockRestore();
+    if (verified) {
+        const token = message.text.match(/token=([A-Za-z0-9\-_]+)/)[1];
+        await request(app).post('/api/auth/verify').send({ token });
+    }
     let testUserAuthToken = registerRes.body.token;
     expectValidJwt(testUserAuthToken);
     return testUserAuthToken;
@@ -41,9 +51,23 @@ async function createAdminUser() {
 async function getAdminAuth() {
     const adminUser = await createAdminUser();
     const loginRes = await request(app).put('/api/auth').send(adminUser);
-    return loginRes.body.token;
+    // Admins have to enroll in two factor authentication to finish logging in
+    const challenge = loginRes.body.challenge;
+    const setupRes = await request(app).post('/api/auth/2fa/setup').send({ challenge });
+    const enableRes = await request(app).post('/api/auth/2fa/enable').send({ challenge, code: totp.generateCode(setupRes.body.secret) });
+    return enableRes.body.token;
 }
 
+// Orders have to be placed at a store of the franchise they name
+let store;
+let otherStore;
+
+beforeAll(async () => {
+    const franchise = await DB.createFranchise({ name: randomName(), admins: [] });
+    store = await DB.createStore(franchise.id, { name: randomName() });
+    otherStore = await DB.createStore(franchise.id, { name: randomName() });
+});
+
 test('getMenu', async () => {
     let newMenuItem = menuItem;
     newMenuItem.title = randomName();
@@ -76,15 +100,24 @@ async function addMenuItem(newMenuItem) {
 
 test('addMenuItem', addMenuItemTest);
 
+// Order with the price the menu currently charges
+async function getOrderItem() {
+    const menuRes = await request(app).get('/api/order/menu');
+    const menuItem = menuRes.body[0];
+    return { menuId: menuItem.id, description: menuItem.title, price: menuItem.price };
+}
+
 async function orderItem() {
     let auth = await createUser();
-    let order = {franchiseId: 1, storeId: 1, items: [{ menuId: 1, description: 'Veggie', price: 0.05 }]};
+    const item = await getOrderItem();
+    let order = {franchiseId: store.franchiseId, storeId: store.id, items: [item, item]};
     const orderRes = await request(app).post('/api/order').set('Authorization', `Bearer ${auth}`).send(order);
     expect(orderRes.status).toBe(200);
     expect(orderRes.body).toEqual(
         expect.objectContaining({
           order: expect.objectContaining(order)
         }))
+    expect(orderRes.body.order.total).toBeCloseTo(item.price * 2, 8);
     return auth
 };
 
@@ -96,3 +129,354 @@ test('getOrders', async () => {
     expect(getOrdersRes.status).toBe(200);
     expect(getOrdersRes.body.orders.length).toBe(1);
 });
+
+test('order price must match the menu', async () => {
+    let auth = await createUser();
+    const item = await getOrderItem();
+    let order = {franchiseId: store.franchiseId, storeId: store.id, items: [{ ...item, price: 0 }]};
+    const orderRes = await request(app).post('/api/order').set('Authorization', `Bearer ${auth}`).send(order);
+    expect(orderRes.status).toBe(409);
+    expect(orderRes.body.message).toMatch(/price of/);
+
+    // Only the menu price is charged when the client doesn't send one
+    order = {franchiseId: store.franchiseId, storeId: store.id, items: [{ menuId: item.menuId, description: 'free pizza' }]};
+    const menuPriceRes = await request(app).post('/api/order').set('Authorization', `Bearer ${auth}`).send(order);
+    expect(menuPriceRes.status).toBe(200);
+    expect(menuPriceRes.body.order.items).toEqual([item]);
+    expect(menuPriceRes.body.order.total).toBe(item.price);
+});
+
+test('order unknown menu item', async () => {
+    let auth = await createUser();
+    let order = {franchiseId: store.franchiseId, storeId: store.id, items: [{ menuId: 999999999, description: 'Veggie', price: 0.05 }]};
+    const orderRes = await request(app).post('/api/order').set('Authorization', `Bearer ${auth}`).send(order);
+    expect(orderRes.status).toBe(400);
+
+    const emptyRes = await request(app).post('/api/order').set('Authorization', `Bearer ${auth}`).send({franchiseId: store.franchiseId, storeId: store.id, items: []});
+    expect(emptyRes.status).toBe(400);
+});
+
+test('order at a store of another franchise', async () => {
+    let auth = await createUser();
+    const item = await getOrderItem();
+    const otherFranchise = await DB.createFranchise({ name: randomName(), admins: [] });
+    const mismatchRes = await request(app).post('/api/order').set('Authorization', `Bearer ${auth}`).send({franchiseId: otherFranchise.id, storeId: store.id, items: [item]});
+    expect(mismatchRes.status).toBe(400);
+    expect(mismatchRes.body.message).toMatch(/unknown store/);
+
+    const unknownRes = await request(app).post('/api/order').set('Authorization', `Bearer ${auth}`).send({franchiseId: store.franchiseId, storeId: 0, items: [item]});
+    expect(unknownRes.status).toBe(400);
+
+    const getOrdersRes = await request(app).get('/api/order').set('Authorization', `Bearer ${auth}`);
+    expect(getOrdersRes.body.orders.length).toBe(0);
+});
+
+test('unverified user cannot order', async () => {
+    let auth = await createUser(false);
+    let order = {franchiseId: store.franchiseId, storeId: store.id, items: [{ menuId: 1, description: 'Veggie', price: 0.05 }]};
+    const orderRes = await request(app).post('/api/order').set('Authorization', `Bearer ${auth}`).send(order);
+    expect(orderRes.status).toBe(403);
+    expect(orderRes.body.message).toMatch(/verified/);
+});
+
+test('order status lifecycle', async () => {
+    let auth = await createUser();
+    const diner = (await request(app).get('/api/order').set('Authorization', `Bearer ${auth}`)).body;
+    const order = await DB.addDinerOrder({ id: diner.dinerId }, {franchiseId: store.franchiseId, storeId: store.id, items: [await getOrderItem()]});
+    expect(order.status).toBe('placed');
+
+    const getOrderRes = await request(app).get(`/api/order/${order.id}`).set('Authorization', `Bearer ${auth}`);
+    expect(getOrderRes.status).toBe(200);
+    expect(getOrderRes.body).toMatchObject({ id: order.id, status: 'placed', history: [{ status: 'placed', userId: diner.dinerId }] });
+
+    const otherAuth = await createUser();
+    const otherRes = await request(app).get(`/api/order/${order.id}`).set('Authorization', `Bearer ${otherAuth}`);
+    expect(otherRes.status).toBe(403);
+
+    const dinerUpdateRes = await request(app).put(`/api/order/${order.id}/status`).set('Authorization', `Bearer ${auth}`).send({ status: 'delivered' });
+    expect(dinerUpdateRes.status).toBe(403);
+
+    const adminAuth = await getAdminAuth();
+    // Only the factory delivery sends an order to the factory
+    const sentRes = await request(app).put(`/api/order/${order.id}/status`).set('Authorization', `Bearer ${adminAuth}`).send({ status: 'sent-to-factory' });
+    expect(sentRes.status).toBe(400);
+    const notSentRes = await request(app).put(`/api/order/${order.id}/status`).set('Authorization', `Bearer ${adminAuth}`).send({ status: 'failed' });
+    expect(notSentRes.status).toBe(409);
+    await DB.updateOrderStatus(order.id, 'sent-to-factory');
+
+    const updateRes = await request(app).put(`/api/order/${order.id}/status`).set('Authorization', `Bearer ${adminAuth}`).send({ status: 'baking' });
+    expect(updateRes.status).toBe(200);
+    expect(updateRes.body.status).toBe('baking');
+
+    const skipRes = await request(app).put(`/api/order/${order.id}/status`).set('Authorization', `Bearer ${adminAuth}`).send({ status: 'delivered' });
+    expect(skipRes.status).toBe(409);
+    const unknownRes = await request(app).put(`/api/order/${order.id}/status`).set('Authorization', `Bearer ${adminAuth}`).send({ status: 'eaten' });
+    expect(unknownRes.status).toBe(400);
+    // Cancelling has to refund the order and tell the factory
+    const cancelRes = await request(app).put(`/api/order/${order.id}/status`).set('Authorization', `Bearer ${adminAuth}`).send({ status: 'cancelled' });
+    expect(cancelRes.status).toBe(400);
+    expect(cancelRes.body.message).toMatch(/cancel/);
+
+    // The factory can still lose an order while baking it
+    const failedRes = await request(app).put(`/api/order/${order.id}/status`).set('Authorization', `Bearer ${adminAuth}`).send({ status: 'failed' });
+    expect(failedRes.status).toBe(200);
+    expect(failedRes.body.status).toBe('failed');
+
+    const historyRes = await request(app).get(`/api/order/${order.id}`).set('Authorization', `Bearer ${auth}`);
+    expect(historyRes.body.history.map((entry) => entry.status)).toEqual(['placed', 'sent-to-factory', 'baking', 'failed']);
+});
+
+test('order retry with idempotency key', async () => {
+    let auth = await createUser();
+    const item = await getOrderItem();
+    const key = randomName();
+    let order = {franchiseId: store.franchiseId, storeId: store.id, items: [item]};
+    const orderRes = await request(app).post('/api/order').set('Authorization', `Bearer ${auth}`).set('Idempotency-Key', key).send(order);
+    expect(orderRes.status).toBe(200);
+
+    const retryRes = await request(app).post('/api/order').set('Authorization', `Bearer ${auth}`).set('Idempotency-Key', key).send(order);
+    expect(retryRes.status).toBe(200);
+    expect(retryRes.headers['idempotent-replayed']).toBe('true');
+    expect(retryRes.body).toEqual(orderRes.body);
+
+    const getOrdersRes = await request(app).get('/api/order').set('Authorization', `Bearer ${auth}`);
+    expect(getOrdersRes.body.orders.length).toBe(1);
+
+    const conflictRes = await request(app).post('/api/order').set('Authorization', `Bearer ${auth}`).set('Idempotency-Key', key).send({ ...order, items: [item, item] });
+    expect(conflictRes.status).toBe(409);
+
+    // Keys belong to the user that sent them
+    const otherAuth = await createUser();
+    const otherRes = await request(app).post('/api/order').set('Authorization', `Bearer ${otherAuth}`).set('Idempotency-Key', key).send(order);
+    expect(otherRes.status).toBe(200);
+    expect(otherRes.body.order.id).not.toBe(orderRes.body.order.id);
+});
+
+test('failed factory delivery is replayed rather than ordered again', async () => {
+    let auth = await createUser();
+    const item = await getOrderItem();
+    const key = randomName();
+    const order = {franchiseId: store.franchiseId, storeId: store.id, items: [item]};
+    const deliverSpy = jest.spyOn(outbox, 'deliverNow').mockResolvedValue({ dead: true });
+    const orderRes = await request(app).post('/api/order').set('Authorization', `Bearer ${auth}`).set('Idempotency-Key', key).send(order);
+    expect(orderRes.status).toBe(500);
+
+    // The order was saved before the factory failed, so the retry must not place it again
+    const retryRes = await request(app).post('/api/order').set('Authorization', `Bearer ${auth}`).set('Idempotency-Key', key).send(order);
+    deliverSpy.mockRestore();
+    expect(retryRes.status).toBe(500);
+    expect(retryRes.headers['idempotent-replayed']).toBe('true');
+    expect(retryRes.body.order.id).toBe(orderRes.body.order.id);
+
+    const getOrdersRes = await request(app).get('/api/order').set('Authorization', `Bearer ${auth}`);
+    expect(getOrdersRes.body.orders.length).toBe(1);
+});
+
+test('verify pizza', async () => {
+    const anonymousRes = await request(app).post('/api/order/verify').send({ jwt: 'not a pizza' });
+    expect(anonymousRes.status).toBe(401);
+
+    let auth = await createUser();
+    const verifyRes = await request(app).post('/api/order/verify').set('Authorization', `Bearer ${auth}`).send({ jwt: 'not a pizza' });
+    expect(verifyRes.status).toBe(400);
+    expect(verifyRes.body).toEqual({ valid: false, reason: 'malformed', message: 'pizza is not a JWT' });
+});
+
+test('diner cancels order', async () => {
+    let auth = await createUser();
+    const diner = (await request(app).get('/api/order').set('Authorization', `Bearer ${auth}`)).body;
+    const item = await getOrderItem();
+    const order = await DB.addDinerOrder({ id: diner.dinerId }, {franchiseId: store.franchiseId, storeId: store.id, items: [item, item]});
+
+    const otherAuth = await createUser();
+    const otherRes = await request(app).post(`/api/order/${order.id}/cancel`).set('Authorization', `Bearer ${otherAuth}`).send({});
+    expect(otherRes.status).toBe(403);
+
+    const cancelRes = await request(app).post(`/api/order/${order.id}/cancel`).set('Authorization', `Bearer ${auth}`).send({ reason: 'ordered by mistake' });
+    expect(cancelRes.status).toBe(200);
+    expect(cancelRes.body.status).toBe('cancelled');
+    expect(cancelRes.body.refunds.length).toBe(2);
+    expect(cancelRes.body.refunds[0]).toMatchObject({ amount: item.price, reason: 'ordered by mistake' });
+
+    const againRes = await request(app).post(`/api/order/${order.id}/cancel`).set('Authorization', `Bearer ${auth}`).send({});
+    expect(againRes.status).toBe(409);
+
+    // Diners can't refund
+    const refundRes = await request(app).post(`/api/order/${order.id}/refund`).set('Authorization', `Bearer ${auth}`).send({});
+    expect(refundRes.status).toBe(403);
+});
+
+test('refunds are taken off store revenue', async () => {
+    const franchise = await DB.createFranchise({ name: randomName(), admins: [] });
+    const store = await DB.createStore(franchise.id, { name: randomName() });
+    const item = await getOrderItem();
+    const diner = await DB.addUser({ name: randomName(), email: `${randomName()}@test.com`, password: 'a', roles: [{ role: Role.Diner }] });
+    const order = await DB.addDinerOrder(diner, { franchiseId: franchise.id, storeId: store.id, items: [item, item] });
+    const adminAuth = await getAdminAuth();
+
+    const orderItemId = (await DB.getOrder(order.id)).items[0].id;
+
+    const refundRes = await request(app).post(`/api/order/${order.id}/refund`).set('Authorization', `Bearer ${adminAuth}`).send({ items: [orderItemId], reason: 'cold pizza' });
+    expect(refundRes.status).toBe(200);
+    expect(refundRes.body.refunds).toEqual([expect.objectContaining({ amount: item.price, reason: 'cold pizza' })]);
+
+    let revenue = (await DB.getFranchise({ id: franchise.id })).stores[0].totalRevenue;
+    expect(revenue).toBeCloseTo(item.price, 8);
+
+    const repeatRes = await request(app).post(`/api/order/${order.id}/refund`).set('Authorization', `Bearer ${adminAuth}`).send({ items: [orderItemId] });
+    expect(repeatRes.status).toBe(409);
+
+    // Refund whatever is left
+    const restRes = await request(app).post(`/api/order/${order.id}/refund`).set('Authorization', `Bearer ${adminAuth}`).send({});
+    expect(restRes.body.refunds.length).toBe(2);
+    revenue = (await DB.getFranchise({ id: franchise.id })).stores[0].totalRevenue;
+    expect(revenue).toBeCloseTo(0, 8);
+});
+
+test('order history pages with a cursor', async () => {
+    let auth = await createUser();
+    const diner = (await request(app).get('/api/order').set('Authorization', `Bearer ${auth}`)).body;
+    const item = await getOrderItem();
+    const orderIds = [];
+    for (let i = 0; i < 3; i++) {
+        orderIds.push((await DB.addDinerOrder({ id: diner.dinerId }, {franchiseId: store.franchiseId, storeId: i === 2 ? otherStore.id : store.id, items: [item, item]})).id);
+    }
+
+    const firstRes = await request(app).get('/api/order?limit=2').set('Authorization', `Bearer ${auth}`);
+    expect(firstRes.status).toBe(200);
+    expect(firstRes.body).toMatchObject({ count: 3, more: true });
+    expect(firstRes.body.orders.map((order) => order.id)).toEqual([orderIds[2], orderIds[1]]);
+    expect(firstRes.body.orders[0].total).toBeCloseTo(item.price * 2, 8);
+    expect(firstRes.body.orders[0].refunded).toBe(0);
+
+    const secondRes = await request(app).get(`/api/order?limit=2&cursor=${firstRes.body.nextCursor}`).set('Authorization', `Bearer ${auth}`);
+    expect(secondRes.body.orders.map((order) => order.id)).toEqual([orderIds[0]]);
+    expect(secondRes.body).toMatchObject({ count: 3, more: false, nextCursor: null });
+
+    const ascRes = await request(app).get(`/api/order?sort=asc&storeId=${store.id}`).set('Authorization', `Bearer ${auth}`);
+    expect(ascRes.body.orders.map((order) => order.id)).toEqual([orderIds[0], orderIds[1]]);
+    expect(ascRes.body.count).toBe(2);
+
+    const futureRes = await request(app).get(`/api/order?from=${new Date(Date.now() + 86400000).toISOString()}`).set('Authorization', `Bearer ${auth}`);
+    expect(futureRes.body).toMatchObject({ orders: [], count: 0, more: false });
+
+    const badCursorRes = await request(app).get('/api/order?cursor=garbage').set('Authorization', `Bearer ${auth}`);
+    expect(badCursorRes.status).toBe(400);
+    const badDateRes = await request(app).get('/api/order?from=yesterday').set('Authorization', `Bearer ${auth}`);
+    expect(badDateRes.status).toBe(400);
+
+    // Page numbers still work for older clients
+    const pageRes = await request(app).get('/api/order?limit=2&page=2').set('Authorization', `Bearer ${auth}`);
+    expect(pageRes.status).toBe(200);
+    expect(pageRes.body.orders.map((order) => order.id)).toEqual([orderIds[0]]);
+    expect(pageRes.body).toMatchObject({ page: 2, more: false });
+    const pageAndCursorRes = await request(app).get(`/api/order?page=2&cursor=${firstRes.body.nextCursor}`).set('Authorization', `Bearer ${auth}`);
+    expect(pageAndCursorRes.status).toBe(400);
+
+    // Fractional limits are rounded down
+    const fractionRes = await request(app).get('/api/order?limit=1.5').set('Authorization', `Bearer ${auth}`);
+    expect(fractionRes.status).toBe(200);
+    expect(fractionRes.body.orders.length).toBe(1);
+});
+
+test('update and retire menu items', async () => {
+    const adminAuth = await getAdminAuth();
+    const title = randomName();
+    const menu = (await request(app).put('/api/order/menu').set('Authorization', `Bearer ${adminAuth}`).send({ title, description: 'Soon gone', image: 'pizza2.png', price: 0.002 })).body;
+    const menuId = menu.find((item) => item.title === title).id;
+
+    const updateRes = await request(app).put(`/api/order/menu/${menuId}`).set('Authorization', `Bearer ${adminAuth}`).send({ price: 0.003 });
+    expect(updateRes.status).toBe(200);
+    expect(updateRes.body).toMatchObject({ id: menuId, description: 'Soon gone', price: 0.003, retired: false });
+    const badUpdateRes = await request(app).put(`/api/order/menu/${menuId}`).set('Authorization', `Bearer ${adminAuth}`).send({ price: -1 });
+    expect(badUpdateRes.status).toBe(400);
+    const unknownRes = await request(app).put('/api/order/menu/0').set('Authorization', `Bearer ${adminAuth}`).send({ price: 0.003 });
+    expect(unknownRes.status).toBe(404);
+
+    let auth = await createUser();
+    const dinerUpdateRes = await request(app).put(`/api/order/menu/${menuId}`).set('Authorization', `Bearer ${auth}`).send({ price: 0 });
+    expect(dinerUpdateRes.status).toBe(403);
+
+    const diner = (await request(app).get('/api/order').set('Authorization', `Bearer ${auth}`)).body;
+    const order = await DB.addDinerOrder({ id: diner.dinerId }, {franchiseId: store.franchiseId, storeId: store.id, items: [{ menuId }]});
+    expect(order.items[0].price).toBe(0.003);
+
+    const retireRes = await request(app).delete(`/api/order/menu/${menuId}`).set('Authorization', `Bearer ${adminAuth}`);
+    expect(retireRes.status).toBe(200);
+    expect(retireRes.body.retired).toBe(true);
+
+    const menuRes = await request(app).get('/api/order/menu');
+    expect(menuRes.body.some((item) => item.id === menuId)).toBe(false);
+    const allRes = await request(app).get('/api/order/menu?includeRetired=true').set('Authorization', `Bearer ${adminAuth}`);
+    expect(allRes.body.find((item) => item.id === menuId)).toMatchObject({ retired: true });
+    const dinerAllRes = await request(app).get('/api/order/menu?includeRetired=true').set('Authorization', `Bearer ${auth}`);
+    expect(dinerAllRes.status).toBe(403);
+
+    const orderRes = await request(app).post('/api/order').set('Authorization', `Bearer ${auth}`).send({franchiseId: store.franchiseId, storeId: store.id, items: [{ menuId }]});
+    expect(orderRes.status).toBe(400);
+    expect(orderRes.body.message).toMatch(/no longer on the menu/);
+
+    // Past orders still show the retired item
+    const pastOrderRes = await request(app).get(`/api/order/${order.id}`).set('Authorization', `Bearer ${auth}`);
+    expect(pastOrderRes.body.items[0]).toMatchObject({ menuId, price: 0.003 });
+});
+
+test('menu categories, tags and search', async () => {
+    const adminAuth = await getAdminAuth();
+    const word = randomName();
+    const drink = { title: `${word} soda`, description: 'Fizzy', image: 'soda.png', price: 0.001, category: 'drinks', tags: ['vegetarian', 'gluten-free'], sortOrder: -1 };
+    const side = { title: `${word} knots`, description: 'Garlic knots', image: 'knots.png', price: 0.002, category: 'sides', tags: ['vegetarian'] };
+    await request(app).put('/api/order/menu').set('Authorization', `Bearer ${adminAuth}`).send(drink);
+    const addRes = await request(app).put('/api/order/menu').set('Authorization', `Bearer ${adminAuth}`).send(side);
+    expect(addRes.status).toBe(200);
+    expect(addRes.body.find((item) => item.title === side.title)).toMatchObject({ category: 'sides', sortOrder: 0, tags: ['vegetarian'] });
+
+    const searchRes = await request(app).get(`/api/order/menu?search=${word}`);
+    expect(searchRes.body.map((item) => item.title)).toEqual([drink.title, side.title]);
+    expect(searchRes.body[0]).toMatchObject({ category: 'drinks', tags: ['gluten-free', 'vegetarian'] });
+
+    const drinksRes = await request(app).get(`/api/order/menu?search=${word}&category=drinks`);
+    expect(drinksRes.body.map((item) => item.title)).toEqual([drink.title]);
+    const taggedRes = await request(app).get(`/api/order/menu?search=${word}&tag=vegetarian&tag=gluten-free`);
+    expect(taggedRes.body.map((item) => item.title)).toEqual([drink.title]);
+    // Wildcards are searched for literally
+    const percentRes = await request(app).get(`/api/order/menu?search=${encodeURIComponent(`%${word}`)}`);
+    expect(percentRes.body).toEqual([]);
+    const underscoreRes = await request(app).get(`/api/order/menu?search=${word.substring(0, 4)}_${word.substring(5)}`);
+    expect(underscoreRes.body).toEqual([]);
+
+    // Existing clients still get the fields they know about
+    const menuRes = await request(app).get('/api/order/menu');
+    expect(menuRes.body[0]).toEqual(expect.objectContaining({ id: expect.any(Number), title: expect.any(String), image: expect.any(String), price: expect.any(Number), description: expect.any(String) }));
+
+    const badCategoryRes = await request(app).get('/api/order/menu?category=dessert');
+    expect(badCategoryRes.status).toBe(400);
+    const badTagRes = await request(app).put('/api/order/menu').set('Authorization', `Bearer ${adminAuth}`).send({ ...side, tags: ['spicy'] });
+    expect(badTagRes.status).toBe(400);
+});
+
+test('upload and serve menu images', async () => {
+    const adminAuth = await getAdminAuth();
+    const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from(randomName())]);
+
+    const uploadRes = await request(app).post('/api/order/menu/image').set('Authorization', `Bearer ${adminAuth}`).set('Content-Type', 'image/png').send(png);
+    expect(uploadRes.status).toBe(201);
+    expect(uploadRes.body.image).toMatch(/^[a-f0-9]{32}\.png$/);
+
+    const imageRes = await request(app).get(uploadRes.body.url);
+    expect(imageRes.status).toBe(200);
+    expect(imageRes.headers['content-type']).toBe('image/png');
+    expect(imageRes.headers['cache-control']).toMatch(/immutable/);
+    expect(Buffer.compare(imageRes.body, png)).toBe(0);
+    const cachedRes = await request(app).get(uploadRes.body.url).set('If-None-Match', imageRes.headers.etag);
+    expect(cachedRes.status).toBe(304);
+
+    const textRes = await request(app).post('/api/order/menu/image').set('Authorization', `Bearer ${adminAuth}`).set('Content-Type', 'image/png').send(Buffer.from('not a picture'));
+    expect(textRes.status).toBe(415);
+    const missingRes = await request(app).get(`/api/order/menu/image/${'0'.repeat(32)}.png`);
+    expect(missingRes.status).toBe(404);
+
+    let auth = await createUser();
+    const dinerRes = await request(app).post('/api/order/menu/image').set('Authorization', `Bearer ${auth}`).set('Content-Type', 'image/png').send(png);
+    expect(dinerRes.status).toBe(403);
+});
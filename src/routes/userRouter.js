@@ -0,0 +1,183 @@
+const express = require('express');
+const { DB, Role } = require('../database/database.js');
+const { StatusCodeError, asyncHandler } = require('../endpointHelper.js');
+const { authorize } = require('../policy.js');
+
+const userRouter = express.Router();
+
+userRouter.endpoints = [
+  {
+    method: 'GET',
+    path: '/api/user?page=1&limit=10&name=*',
+    requiresAuth: true,
+    description: 'List and search users by name or email (admin only)',
+    example: `curl 'localhost:3000/api/user?page=1&limit=10&name=pizza' -H 'Authorization: Bearer tttttt'`,
+    response: { users: [{ id: 3, name: 'pizza franchisee', email: 'f@jwt.com', verified: true, disabled: false, roles: [{ role: 'diner' }, { objectId: 1, role: 'franchisee' }] }], page: 1, more: false },
+  },
+  {
+    method: 'GET',
+    path: '/api/user/:userId',
+    requiresAuth: true,
+    description: 'Get a user and their roles (admin only)',
+    example: `curl localhost:3000/api/user/3 -H 'Authorization: Bearer tttttt'`,
+    response: { id: 3, name: 'pizza franchisee', email: 'f@jwt.com', verified: true, disabled: false, roles: [{ role: 'diner' }, { objectId: 1, role: 'franchisee' }] },
+  },
+  {
+    method: 'GET',
+    path: '/api/user/:userId/role',
+    requiresAuth: true,
+    description: `Get a user's roles (admin only)`,
+    example: `curl localhost:3000/api/user/3/role -H 'Authorization: Bearer tttttt'`,
+    response: [{ role: 'diner' }, { objectId: 1, role: 'franchisee' }],
+  },
+  {
+    method: 'POST',
+    path: '/api/user/:userId/role',
+    requiresAuth: true,
+    description: 'Grant a role to a user. Franchisee roles need the franchise (admin only)',
+    example: `curl -X POST localhost:3000/api/user/3/role -H 'Content-Type: application/json' -d '{"role":"franchisee", "franchiseId":1}' -H 'Authorization: Bearer tttttt'`,
+    response: [{ role: 'diner' }, { objectId: 1, role: 'franchisee' }],
+  },
+  {
+    method: 'DELETE',
+    path: '/api/user/:userId/role',
+    requiresAuth: true,
+    description: 'Revoke a role from a user and sign them out. The admin role of the last admin can not be revoked (admin only)',
+    example: `curl -X DELETE localhost:3000/api/user/3/role -H 'Content-Type: application/json' -d '{"role":"franchisee", "franchiseId":1}' -H 'Authorization: Bearer tttttt'`,
+    response: [{ role: 'diner' }],
+  },
+  {
+    method: 'PUT',
+    path: '/api/user/:userId',
+    requiresAuth: true,
+    description: 'Disable or re-enable an account. Disabling signs the user out and the last admin can not be disabled (admin only)',
+    example: `curl -X PUT localhost:3000/api/user/3 -H 'Content-Type: application/json' -d '{"disabled":true}' -H 'Authorization: Bearer tttttt'`,
+    response: { id: 3, name: 'pizza franchisee', email: 'f@jwt.com', verified: true, disabled: true, roles: [{ role: 'diner' }] },
+  },
+  {
+    method: 'DELETE',
+    path: '/api/user/:userId',
+    requiresAuth: true,
+    description: 'Delete an account. Past orders are kept without the diner. The last admin can not be deleted (self or admin)',
+    example: `curl -X DELETE localhost:3000/api/user/3 -H 'Authorization: Bearer tttttt'`,
+    response: { message: 'user deleted' },
+  },
+  {
+    method: 'GET',
+    path: '/api/user/:userId/export',
+    requiresAuth: true,
+    description: 'Export everything stored about a user as one JSON document (self or admin)',
+    example: `curl localhost:3000/api/user/3/export -H 'Authorization: Bearer tttttt'`,
+    response: {
+      exported: '2024-06-05T05:14:40.000Z',
+      user: { id: 3, name: 'pizza diner', email: 'd@jwt.com', verified: true, disabled: false, roles: [{ role: 'diner' }] },
+      twoFactorEnabled: false,
+      sessions: [{ id: '5b0c9e5e-8a3f-4d4a-9a55-6f1c1f7f2f7e', created: '2024-06-05T05:14:40.000Z', lastSeen: '2024-06-05T05:14:40.000Z', userAgent: 'curl/8.4.0', ip: '::1' }],
+      orders: [{ id: 1, franchiseId: 1, storeId: 1, date: '2024-06-05T05:14:40.000Z', items: [{ id: 1, menuId: 1, description: 'Veggie', price: 0.05 }] }],
+    },
+  },
+];
+
+// exportUser
+userRouter.get(
+  '/:userId/export',
+  authorize('user:export', loadUserId),
+  asyncHandler(async (req, res) => {
+    res.json(await DB.exportUser(req.resource.id));
+  })
+);
+
+// deleteUser
+userRouter.delete(
+  '/:userId',
+  authorize('user:delete', loadUserId),
+  asyncHandler(async (req, res) => {
+    await DB.deleteUser(req.resource.id);
+    res.json({ message: 'user deleted' });
+  })
+);
+
+// Users can export and delete their own account. Every other endpoint is for admins only.
+userRouter.use(authorize('user:manage'));
+
+// getUsers
+userRouter.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const page = Math.max(Math.floor(Number(req.query.page)) || 1, 1);
+    const limit = Math.min(Math.max(Math.floor(Number(req.query.limit)) || 10, 1), 100);
+    const search = (req.query.name ?? '').replace(/\*/g, '');
+    res.json(await DB.getUsers(page, limit, search));
+  })
+);
+
+// getUser
+userRouter.get(
+  '/:userId',
+  asyncHandler(async (req, res) => {
+    res.json(await DB.getUserById(Number(req.params.userId)));
+  })
+);
+
+// getUserRoles
+userRouter.get(
+  '/:userId/role',
+  asyncHandler(async (req, res) => {
+    const user = await DB.getUserById(Number(req.params.userId));
+    res.json(user.roles);
+  })
+);
+
+// grantRole
+userRouter.post(
+  '/:userId/role',
+  asyncHandler(async (req, res) => {
+    const { role, objectId } = readRole(req.body);
+    res.json(await DB.addUserRole(Number(req.params.userId), role, objectId));
+  })
+);
+
+// revokeRole
+userRouter.delete(
+  '/:userId/role',
+  asyncHandler(async (req, res) => {
+    const { role, objectId } = readRole(req.body);
+    res.json(await DB.removeUserRole(Number(req.params.userId), role, objectId));
+  })
+);
+
+// updateUserStatus
+userRouter.put(
+  '/:userId',
+  asyncHandler(async (req, res) => {
+    const { disabled } = req.body;
+    if (typeof disabled !== 'boolean') {
+      throw new StatusCodeError('disabled must be true or false', 400);
+    }
+
+    const userId = Number(req.params.userId);
+    await DB.setUserDisabled(userId, disabled);
+    res.json(await DB.getUserById(userId));
+  })
+);
+
+function loadUserId(req) {
+  return { id: Number(req.params.userId) };
+}
+
+// Franchisee roles are scoped to a franchise. Every other role applies everywhere.
+function readRole(body) {
+  const { role, franchiseId } = body;
+  if (!Object.values(Role).includes(role)) {
+    throw new StatusCodeError(`role must be one of ${Object.values(Role).join(', ')}`, 400);
+  }
+  if (role === Role.Franchisee) {
+    if (!Number.isInteger(franchiseId)) {
+      throw new StatusCodeError('franchiseId is required for the franchisee role', 400);
+    }
+    return { role, objectId: franchiseId };
+  }
+  return { role, objectId: 0 };
+}
+
+module.exports = userRouter;
@@ -0,0 +1,190 @@
+const request = require('supertest');
+const app = require('../service');
+const { Role, DB } = require('../database/database.js');
+const totp = require('../totp.js');
+
+if (process.env.VSCODE_INSPECTOR_OPTIONS) {
+  jest.setTimeout(60 * 1000 * 5);
+}
+
+function randomName() {
+  return Math.random().toString(36).substring(2, 12);
+}
+
+async function createAdminUser() {
+  let user = { password: 'toomanysecrets', roles: [{ role: Role.Admin }] };
+  user.name = randomName();
+  user.email = `${user.name}@admin.com`;
+
+  user = await DB.addUser(user);
+  return { ...user, password: 'toomanysecrets' };
+}
+
+async function getAdminAuth() {
+  const adminUser = await createAdminUser();
+  const loginRes = await request(app).put('/api/auth').send(adminUser);
+  // Admins have to enroll in two factor authentication to finish logging in
+  const challenge = loginRes.body.challenge;
+  const setupRes = await request(app).post('/api/auth/2fa/setup').send({ challenge });
+  const enableRes = await request(app).post('/api/auth/2fa/enable').send({ challenge, code: totp.generateCode(setupRes.body.secret) });
+  return enableRes.body.token;
+}
+
+async function createDiner() {
+  const diner = { name: randomName(), password: 'a' };
+  diner.email = `${diner.name}@test.com`;
+  const registerRes = await request(app).post('/api/auth').send(diner);
+  return { ...registerRes.body.user, password: 'a', token: registerRes.body.token };
+}
+
+let adminToken;
+let store;
+
+beforeAll(async () => {
+  adminToken = await getAdminAuth();
+  const franchise = await DB.createFranchise({ name: randomName(), admins: [] });
+  store = await DB.createStore(franchise.id, { name: randomName() });
+});
+
+test('listUsers', async () => {
+  const diner = await createDiner();
+
+  const listRes = await request(app).get(`/api/user?page=1&limit=5&name=${diner.name}`).set('Authorization', `Bearer ${adminToken}`);
+
+  expect(listRes.status).toBe(200);
+  expect(listRes.body.users).toEqual([expect.objectContaining({ id: diner.id, email: diner.email, roles: [{ role: Role.Diner }] })]);
+  expect(listRes.body.more).toBe(false);
+});
+
+test('listUsers requires admin', async () => {
+  const diner = await createDiner();
+
+  const listRes = await request(app).get('/api/user').set('Authorization', `Bearer ${diner.token}`);
+  expect(listRes.status).toBe(403);
+
+  const anonymousRes = await request(app).get('/api/user');
+  expect(anonymousRes.status).toBe(401);
+});
+
+test('grant and revoke franchisee role', async () => {
+  const diner = await createDiner();
+  const franchise = await DB.createFranchise({ name: randomName(), admins: [] });
+
+  const grantRes = await request(app)
+    .post(`/api/user/${diner.id}/role`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ role: Role.Franchisee, franchiseId: franchise.id });
+  expect(grantRes.status).toBe(200);
+  expect(grantRes.body).toContainEqual({ role: Role.Franchisee, objectId: franchise.id });
+
+  const duplicateRes = await request(app)
+    .post(`/api/user/${diner.id}/role`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ role: Role.Franchisee, franchiseId: franchise.id });
+  expect(duplicateRes.status).toBe(409);
+
+  const revokeRes = await request(app)
+    .delete(`/api/user/${diner.id}/role`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ role: Role.Franchisee, franchiseId: franchise.id });
+  expect(revokeRes.status).toBe(200);
+  expect(revokeRes.body).toEqual([{ role: Role.Diner }]);
+
+  const rolesRes = await request(app).get(`/api/user/${diner.id}/role`).set('Authorization', `Bearer ${adminToken}`);
+  expect(rolesRes.body).toEqual([{ role: Role.Diner }]);
+});
+
+test('grant unknown role fails', async () => {
+  const diner = await createDiner();
+
+  const res = await request(app).post(`/api/user/${diner.id}/role`).set('Authorization', `Bearer ${adminToken}`).send({ role: 'owner' });
+  expect(res.status).toBe(400);
+});
+
+test('disable account', async () => {
+  const diner = await createDiner();
+
+  const disableRes = await request(app).put(`/api/user/${diner.id}`).set('Authorization', `Bearer ${adminToken}`).send({ disabled: true });
+  expect(disableRes.status).toBe(200);
+  expect(disableRes.body.disabled).toBe(true);
+
+  const loginRes = await request(app).put('/api/auth').send({ email: diner.email, password: diner.password });
+  expect(loginRes.status).toBe(403);
+
+  const enableRes = await request(app).put(`/api/user/${diner.id}`).set('Authorization', `Bearer ${adminToken}`).send({ disabled: false });
+  expect(enableRes.body.disabled).toBe(false);
+  const loginAgainRes = await request(app).put('/api/auth').send({ email: diner.email, password: diner.password });
+  expect(loginAgainRes.status).toBe(200);
+});
+
+test('the last admin keeps the admin role', async () => {
+  const admin = await createAdminUser();
+  // Act as if every other admin was disabled
+  const lockSpy = jest.spyOn(DB, 'lockActiveAdminIds').mockResolvedValue(new Set([admin.id]));
+
+  const revokeRes = await request(app).delete(`/api/user/${admin.id}/role`).set('Authorization', `Bearer ${adminToken}`).send({ role: Role.Admin });
+  expect(revokeRes.status).toBe(409);
+  expect(revokeRes.body.message).toBe('unable to remove the last admin');
+  const disableRes = await request(app).put(`/api/user/${admin.id}`).set('Authorization', `Bearer ${adminToken}`).send({ disabled: true });
+  expect(disableRes.status).toBe(409);
+  expect(disableRes.body.message).toBe('unable to disable the last admin');
+  lockSpy.mockRestore();
+
+  const userRes = await request(app).get(`/api/user/${admin.id}`).set('Authorization', `Bearer ${adminToken}`);
+  expect(userRes.body).toMatchObject({ disabled: false, roles: [{ role: Role.Admin }] });
+
+  // Disabled admins don't count
+  await request(app).put(`/api/user/${admin.id}`).set('Authorization', `Bearer ${adminToken}`).send({ disabled: true });
+  const adminIds = await DB.withConnection(async (connection) => {
+    await connection.beginTransaction();
+    const ids = await DB.lockActiveAdminIds(connection);
+    await connection.commit();
+    return ids;
+  });
+  expect(adminIds.has(admin.id)).toBe(false);
+});
+
+test('delete account', async () => {
+  const diner = await createDiner();
+
+  const deleteRes = await request(app).delete(`/api/user/${diner.id}`).set('Authorization', `Bearer ${adminToken}`);
+  expect(deleteRes.status).toBe(200);
+
+  const getRes = await request(app).get(`/api/user/${diner.id}`).set('Authorization', `Bearer ${adminToken}`);
+  expect(getRes.status).toBe(404);
+});
+
+test('export own data', async () => {
+  const diner = await createDiner();
+  const order = await DB.addDinerOrder(diner, { franchiseId: store.franchiseId, storeId: store.id, items: [{ menuId: 1 }] });
+
+  const exportRes = await request(app).get(`/api/user/${diner.id}/export`).set('Authorization', `Bearer ${diner.token}`);
+  expect(exportRes.status).toBe(200);
+  expect(exportRes.body.user).toMatchObject({ id: diner.id, email: diner.email, roles: [{ role: Role.Diner }] });
+  expect(exportRes.body.user.password).toBeUndefined();
+  expect(exportRes.body.sessions.length).toBe(1);
+  expect(exportRes.body.orders).toEqual([expect.objectContaining({ id: order.id, items: [expect.objectContaining({ menuId: 1 })] })]);
+
+  const otherDiner = await createDiner();
+  const otherRes = await request(app).get(`/api/user/${diner.id}/export`).set('Authorization', `Bearer ${otherDiner.token}`);
+  expect(otherRes.status).toBe(403);
+});
+
+test('delete own account keeps anonymous orders', async () => {
+  const diner = await createDiner();
+  const order = await DB.addDinerOrder(diner, { franchiseId: store.franchiseId, storeId: store.id, items: [{ menuId: 1 }] });
+
+  const otherDiner = await createDiner();
+  const otherRes = await request(app).delete(`/api/user/${diner.id}`).set('Authorization', `Bearer ${otherDiner.token}`);
+  expect(otherRes.status).toBe(403);
+
+  const deleteRes = await request(app).delete(`/api/user/${diner.id}`).set('Authorization', `Bearer ${diner.token}`);
+  expect(deleteRes.status).toBe(200);
+
+  // The deleted account's token no longer works
+  const exportRes = await request(app).get(`/api/user/${diner.id}/export`).set('Authorization', `Bearer ${diner.token}`);
+  expect(exportRes.status).toBe(401);
+
+  const orderResult = await DB.withConnection((connection) => DB.query(connection, `SELECT dinerId FROM dinerOrder WHERE id=?`, [order.id]));
+  expect(orderResult).toEqual([{ dinerId: 0 }]);
+});
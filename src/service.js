@@ -2,12 +2,16 @@ const express = require('express');
 const { authRouter, setAuthUser } = require('./routes/authRouter.js');
 const orderRouter = require('./routes/orderRouter.js');
 const franchiseRouter = require('./routes/franchiseRouter.js');
+const userRouter = require('./routes/userRouter.js');
+const factoryRouter = require('./routes/factoryRouter.js');
 const version = require('./version.json');
 const config = require('./config.js');
 const { requestTracker } = require('./metrics.js');
 const logger = require('./logging/logger.js');
 
 const app = express();
+// Behind a load balancer req.ip is the balancer's address unless its forwarded headers are trusted
+app.set('trust proxy', config.trustProxy ?? false);
 app.use(express.json());
 app.use(setAuthUser);
 app.use(requestTracker);
@@ -15,7 +19,7 @@ app.use(logger.httpLogger);
 app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
   res.setHeader('Access-Control-Allow-Credentials', 'true');
   next();
 });
@@ -25,11 +29,13 @@ app.use('/api', apiRouter);
 apiRouter.use('/auth', authRouter);
 apiRouter.use('/order', orderRouter);
 apiRouter.use('/franchise', franchiseRouter);
+apiRouter.use('/user', userRouter);
+apiRouter.use('/factory', factoryRouter);
 
 apiRouter.use('/docs', (req, res) => {
   res.json({
     version: version.version,
-    endpoints: [...authRouter.endpoints, ...orderRouter.endpoints, ...franchiseRouter.endpoints],
+    endpoints: [...authRouter.endpoints, ...orderRouter.endpoints, ...franchiseRouter.endpoints, ...userRouter.endpoints, ...factoryRouter.endpoints],
     config: { factory: config.factory.url, db: config.db.connection.host },
   });
 });
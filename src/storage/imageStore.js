@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config.js');
+const { StatusCodeError } = require('../endpointHelper.js');
+const logger = require('../logging/logger.js');
+
+const imageConfig = {
+  storage: 'local',
+  directory: 'assets',
+  maxBytes: 2 * 1024 * 1024,
+  cacheSeconds: 365 * 24 * 60 * 60,
+  ...config.images,
+};
+
+// The types we accept, recognized by the first bytes of the file rather than what the client claims
+const imageTypes = [
+  { extension: 'png', contentType: 'image/png', matches: (data) => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { extension: 'jpg', contentType: 'image/jpeg', matches: (data) => data.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { extension: 'gif', contentType: 'image/gif', matches: (data) => ['GIF87a', 'GIF89a'].includes(data.subarray(0, 6).toString('latin1')) },
+  { extension: 'webp', contentType: 'image/webp', matches: (data) => data.subarray(0, 4).toString('latin1') === 'RIFF' && data.subarray(8, 12).toString('latin1') === 'WEBP' },
+];
+
+const imageNamePattern = /^[a-f0-9]{32}\.(png|jpg|gif|webp)$/;
+
+/**
+ * Interface for storing assets. Implementations only need to provide put and get.
+ */
+class AssetStorage {
+  /**
+   * Store an asset. Names are content hashes, so an existing asset with the same name is identical.
+   *
+   * @param {string} name - File name of the asset
+   * @param {Buffer} data - Asset contents
+   * @returns {Promise<void>}
+   */
+  async put() {
+    throw new Error('put not implemented');
+  }
+
+  /**
+   * Read an asset
+   *
+   * @param {string} name - File name of the asset
+   * @returns {Promise<Buffer|null>} - The contents, or null if there is no such asset
+   */
+  async get() {
+    throw new Error('get not implemented');
+  }
+}
+
+/**
+ * Keeps assets as files in a directory on the server's disk.
+ */
+class LocalDiskStorage extends AssetStorage {
+  constructor(directory) {
+    super();
+    this.directory = directory;
+  }
+
+  async put(name, data) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    // Write under a temporary name so readers never see a partial file
+    const tempFile = path.join(this.directory, `.${name}.${crypto.randomBytes(4).toString('hex')}`);
+    await fs.promises.writeFile(tempFile, data);
+    await fs.promises.rename(tempFile, path.join(this.directory, name));
+  }
+
+  async get(name) {
+    try {
+      return await fs.promises.readFile(path.join(this.directory, path.basename(name)));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+function createStorage(name) {
+  switch (name) {
+    case 'local':
+      // Relative to the repository root, wherever the service is started from
+      return new LocalDiskStorage(path.resolve(__dirname, '../..', imageConfig.directory));
+    default:
+      throw new Error(`unknown image storage ${name}`);
+  }
+}
+
+class ImageStore {
+  /**
+   * @param {AssetStorage} storage - Where images are kept
+   * @param {object} options - Size and caching settings, see imageConfig
+   */
+  constructor(storage, options = imageConfig) {
+    this.storage = storage;
+    this.options = options;
+  }
+
+  /**
+   * Validate and store an uploaded image. Returns the content-hashed name it is stored under.
+   */
+  async save(data) {
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+      throw new StatusCodeError('upload the image as the request body', 400);
+    }
+    if (data.length > this.options.maxBytes) {
+      throw new StatusCodeError(`image must be at most ${this.options.maxBytes} bytes`, 413);
+    }
+    const type = imageTypes.find((imageType) => imageType.matches(data));
+    if (!type) {
+      throw new StatusCodeError(`image must be one of ${imageTypes.map((imageType) => imageType.extension).join(', ')}`, 415);
+    }
+
+    const name = `${crypto.createHash('sha256').update(data).digest('hex').substring(0, 32)}.${type.extension}`;
+    await this.storage.put(name, data);
+    logger.log('info', 'images', { name, bytes: data.length });
+    return { name, contentType: type.contentType, bytes: data.length };
+  }
+
+  /**
+   * Returns { data, contentType } for a stored image, or null if there is none with that name
+   */
+  async get(name) {
+    if (!imageNamePattern.test(name)) {
+      return null;
+    }
+    const data = await this.storage.get(name);
+    if (!data) {
+      return null;
+    }
+    const extension = path.extname(name).substring(1);
+    return { data, contentType: imageTypes.find((imageType) => imageType.extension === extension).contentType };
+  }
+}
+
+module.exports = new ImageStore(createStorage(imageConfig.storage));
+module.exports.ImageStore = ImageStore;
+module.exports.AssetStorage = AssetStorage;
+module.exports.LocalDiskStorage = LocalDiskStorage;
+module.exports.imageConfig = imageConfig;
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ImageStore, LocalDiskStorage } = require('./imageStore.js');
+const logger = require('../logging/logger.js');
+
+const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('pizza pixels')]);
+const webp = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 pizza')]);
+
+let directory;
+let images;
+
+beforeEach(() => {
+  jest.spyOn(logger, 'log').mockImplementation(() => {});
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'images-'));
+  images = new ImageStore(new LocalDiskStorage(directory), { maxBytes: 64, cacheSeconds: 60 });
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true });
+  jest.restoreAllMocks();
+});
+
+test('stores images under a hash of their contents', async () => {
+  const image = await images.save(png);
+  expect(image).toEqual({ name: expect.stringMatching(/^[a-f0-9]{32}\.png$/), contentType: 'image/png', bytes: png.length });
+  expect(fs.readdirSync(directory)).toEqual([image.name]);
+
+  // The same upload gives the same name
+  expect((await images.save(png)).name).toBe(image.name);
+  expect((await images.save(webp)).name).toMatch(/\.webp$/);
+});
+
+test('reads stored images back', async () => {
+  const { name } = await images.save(png);
+  const image = await images.get(name);
+  expect(image.contentType).toBe('image/png');
+  expect(image.data.equals(png)).toBe(true);
+
+  expect(await images.get(name.replace('.png', '.jpg'))).toBeNull();
+  expect(await images.get('../../etc/passwd')).toBeNull();
+});
+
+test('rejects files that are not images', async () => {
+  await expect(images.save(Buffer.from('<svg onload="alert(1)"></svg>'))).rejects.toMatchObject({ statusCode: 415 });
+  await expect(images.save({})).rejects.toMatchObject({ statusCode: 400 });
+  await expect(images.save(Buffer.alloc(0))).rejects.toMatchObject({ statusCode: 400 });
+});
+
+test('rejects images that are too big', async () => {
+  await expect(images.save(Buffer.concat([png, Buffer.alloc(64)]))).rejects.toMatchObject({ statusCode: 413 });
+  expect(fs.readdirSync(directory)).toEqual([]);
+});
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords as described in RFC 6238 (built on HOTP, RFC 4226).
+// The defaults match what authenticator apps expect: SHA-1, 6 digits and a 30 second step.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`invalid base32 character ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(key, counter, digits) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+function timeStep(time) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+function generateCode(secret, time = Date.now(), digits = 6) {
+  return hotp(base32Decode(secret), timeStep(time), digits);
+}
+
+/**
+ * Check a code against the current time step and its neighbours to allow for clock drift.
+ * Returns the matching time step so callers can refuse to accept the same code twice, or
+ * null when the code does not match.
+ */
+function verifyCode(secret, code, time = Date.now(), window = 1) {
+  const candidate = Buffer.from(String(code ?? ''));
+  const key = base32Decode(secret);
+  const current = timeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = Buffer.from(hotp(key, step, 6));
+    if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function otpauthUrl(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=6&period=${STEP_SECONDS}`;
+}
+
+module.exports = { base32Encode, base32Decode, generateSecret, generateCode, verifyCode, otpauthUrl };
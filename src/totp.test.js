@@ -0,0 +1,36 @@
+const totp = require('./totp.js');
+
+// RFC 6238 appendix B test vectors for SHA-1
+const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+test('base32 round trip', () => {
+  expect(rfcSecret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  expect(totp.base32Decode(rfcSecret).toString()).toBe('12345678901234567890');
+});
+
+test.each([
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+])('rfc 6238 code at %i', (seconds, code) => {
+  expect(totp.generateCode(rfcSecret, seconds * 1000, 8)).toBe(code);
+});
+
+test('verify accepts adjacent steps only', () => {
+  const secret = totp.generateSecret();
+  const now = 1700000000000;
+  const code = totp.generateCode(secret, now);
+
+  expect(totp.verifyCode(secret, code, now)).toBe(Math.floor(now / 30000));
+  expect(totp.verifyCode(secret, code, now + 30000)).not.toBeNull();
+  expect(totp.verifyCode(secret, code, now + 90000)).toBeNull();
+  expect(totp.verifyCode(secret, '000000x', now)).toBeNull();
+  expect(totp.verifyCode(secret, undefined, now)).toBeNull();
+});
+
+test('otpauth url', () => {
+  const url = totp.otpauthUrl('ABC', 'a@jwt.com', 'JWT Pizza');
+  expect(url).toBe('otpauth://totp/JWT%20Pizza%3Aa%40jwt.com?secret=ABC&issuer=JWT%20Pizza&algorithm=SHA1&digits=6&period=30');
+});